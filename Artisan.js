@@ -67,6 +67,8 @@ const artisanSchema = new mongoose.Schema({
     ifscCode: String,
     upiId: String
   },
+  // Proof fields hold KycDocument ids (uploaded files); taxId is the GSTIN.
+  // Private to the artisan and admins: see PRIVATE_FIELDS.
   documents: {
     idProof: {
       type: String,
@@ -106,6 +108,17 @@ const artisanSchema = new mongoose.Schema({
       default: 0
     }
   },
+  returnPolicy: {
+    acceptsReturns: {
+      type: Boolean,
+      default: true
+    },
+    windowDays: {
+      type: Number, // overrides the category default when set
+      min: [0, 'Return window cannot be negative'],
+      max: [90, 'Return window cannot be more than 90 days']
+    }
+  },
   subscription: {
     plan: {
       type: String,
@@ -117,14 +130,73 @@ const artisanSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
+    },
+    history: [{
+      action: {
+        type: String,
+        enum: ['upgrade', 'downgrade', 'renew', 'expire']
+      },
+      plan: String,
+      fromPlan: String,
+      amount: Number, // billed for the period, in INR
+      transactionId: String, // gateway payment intent for paid changes
+      startDate: Date,
+      endDate: Date,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    pendingPayment: { // upgrade or renewal waiting for the gateway to confirm payment
+      action: {
+        type: String,
+        enum: ['upgrade', 'renew']
+      },
+      plan: String,
+      amount: Number,
+      intentId: String,
+      paymentGateway: String,
+      createdAt: Date
     }
   },
+  usage: { // metered plan features, reset monthly
+    aiGenerations: {
+      type: Number,
+      default: 0
+    },
+    periodStart: Date
+  },
   verificationStatus: {
     type: String,
     enum: ['pending', 'verified', 'rejected'],
     default: 'pending'
   },
   verificationNotes: String,
+  verifiedAt: Date,
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Audit trail of submissions and admin decisions; admin-only, so not selected by default
+  verificationHistory: {
+    type: [{
+      action: {
+        type: String,
+        enum: ['submitted', 'resubmitted', 'approved', 'rejected'],
+        required: true
+      },
+      notes: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -142,31 +214,96 @@ artisanSchema.index({ 'location.city': 1, 'location.state': 1 });
 artisanSchema.index({ specialties: 1 });
 artisanSchema.index({ 'rating.average': -1 });
 artisanSchema.index({ verificationStatus: 1 });
+artisanSchema.index({ 'subscription.plan': 1, 'subscription.endDate': 1 });
+artisanSchema.index({ 'subscription.pendingPayment.intentId': 1 }, { sparse: true });
 
 // Virtual for full location
 artisanSchema.virtual('fullLocation').get(function() {
   return `${this.location.city}, ${this.location.state}, ${this.location.country}`;
 });
 
-// Update stats when products or orders change
+// Fields left out of public artisan responses
+artisanSchema.statics.PRIVATE_FIELDS = '-documents -bankDetails -verificationNotes -verifiedBy -usage -subscription.history -subscription.pendingPayment';
+
+// Verification status each audit action leads to
+const VERIFICATION_STATUS_FOR_ACTION = {
+  submitted: 'pending',
+  resubmitted: 'pending',
+  approved: 'verified',
+  rejected: 'rejected'
+};
+
+// Method to move the artisan through verification and log who did it.
+// Admin decisions are stored on the profile too, so artisans see the notes.
+artisanSchema.methods.recordVerification = function(action, { by, notes } = {}) {
+  this.verificationStatus = VERIFICATION_STATUS_FOR_ACTION[action];
+
+  if (action === 'approved' || action === 'rejected') {
+    this.verificationNotes = notes;
+    this.verifiedBy = by;
+    this.verifiedAt = new Date();
+  }
+
+  // Saving a history that was never loaded would overwrite the stored one
+  if (!this.isNew && !this.isSelected('verificationHistory')) {
+    throw new Error('Select +verificationHistory before recording verification');
+  }
+  this.verificationHistory.push({ action, notes, by, at: new Date() });
+};
+
+// Recompute stats from scratch; order saves keep them up to date incrementally
 artisanSchema.methods.updateStats = async function() {
   const Product = mongoose.model('Product');
   const Order = mongoose.model('Order');
   
   const productCount = await Product.countDocuments({ artisan: this._id, isActive: true });
-  const completedOrders = await Order.countDocuments({ 
-    'items.product.artisan': this._id, 
-    status: 'completed' 
-  });
   
-  const revenueResult = await Order.aggregate([
-    { $match: { 'items.product.artisan': this._id, status: 'completed' } },
-    { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+  // Sales come from the artisan's own delivered line items, net of returns
+  const salesResult = await Order.aggregate([
+    { $match: { 'items.artisan': this._id } },
+    { $unwind: '$items' },
+    { $match: { 'items.artisan': this._id, 'items.status': 'delivered' } },
+    {
+      $addFields: {
+        keptQuantity: { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id',
+        units: { $sum: '$keptQuantity' },
+        revenue: {
+          $sum: {
+            $divide: [
+              {
+                $multiply: [
+                  { $subtract: [{ $multiply: ['$items.price', '$items.quantity'] }, { $ifNull: ['$items.discount', 0] }] },
+                  '$keptQuantity'
+                ]
+              },
+              '$items.quantity'
+            ]
+          }
+        }
+      }
+    },
+    { $match: { units: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        completedOrders: { $sum: 1 },
+        totalSales: { $sum: '$units' },
+        totalRevenue: { $sum: '$revenue' }
+      }
+    }
   ]);
   
+  const sales = salesResult[0] || { completedOrders: 0, totalSales: 0, totalRevenue: 0 };
+  
   this.stats.totalProducts = productCount;
-  this.stats.completedOrders = completedOrders;
-  this.stats.totalRevenue = revenueResult.length > 0 ? revenueResult[0].total : 0;
+  this.stats.completedOrders = sales.completedOrders;
+  this.stats.totalSales = sales.totalSales;
+  this.stats.totalRevenue = Math.round(sales.totalRevenue * 100) / 100;
   
   await this.save();
 };
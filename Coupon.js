@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage cannot be more than 100'
+    }
+  },
+  maxDiscount: Number, // cap for percentage coupons
+  minOrderAmount: {
+    type: Number,
+    default: 0
+  },
+  usageLimit: Number, // total redemptions across all users
+  perUserLimit: {
+    type: Number,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  // Scope: an artisan's products and/or specific categories; empty means sitewide
+  artisan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artisan'
+  },
+  categories: [{
+    type: String,
+    enum: ['jewelry', 'textiles', 'pottery', 'woodwork', 'art', 'metalwork', 'leather', 'glass', 'other']
+  }],
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    amount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponSchema.index({ artisan: 1, isActive: 1 });
+couponSchema.index({ 'redemptions.order': 1 });
+
+// Build an error carrying an HTTP status for the route to report
+const createCouponError = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Method to check whether a product is covered by the coupon's scope
+couponSchema.methods.appliesTo = function(product) {
+  if (this.artisan && (product.artisan._id || product.artisan).toString() !== this.artisan.toString()) {
+    return false;
+  }
+  if (this.categories.length > 0 && !this.categories.includes(product.category)) {
+    return false;
+  }
+  return true;
+};
+
+// Method to validate the coupon for a user and priced lines
+// ([{ product, quantity, unitPrice }]) and work out the discount.
+// Returns { amount, lineDiscounts } with one discount per line; throws if not applicable.
+couponSchema.methods.evaluate = function(userId, lines) {
+  const now = new Date();
+
+  if (!this.isActive) throw createCouponError('Coupon is not active');
+  if (this.validFrom && this.validFrom > now) throw createCouponError('Coupon is not valid yet');
+  if (this.validUntil && this.validUntil < now) throw createCouponError('Coupon has expired');
+  if (this.usageLimit && this.usedCount >= this.usageLimit) {
+    throw createCouponError('Coupon usage limit reached');
+  }
+
+  const userRedemptions = this.redemptions.filter(r => r.user && r.user.toString() === userId.toString()).length;
+  if (this.perUserLimit && userRedemptions >= this.perUserLimit) {
+    throw createCouponError('You have already used this coupon');
+  }
+
+  const lineTotals = lines.map(({ product, quantity, unitPrice }) => (
+    this.appliesTo(product) ? unitPrice * quantity : 0
+  ));
+  const eligibleSubtotal = lineTotals.reduce((sum, total) => sum + total, 0);
+
+  if (eligibleSubtotal === 0) throw createCouponError('Coupon does not apply to these items');
+  if (eligibleSubtotal < this.minOrderAmount) {
+    throw createCouponError(`Minimum order of ${this.minOrderAmount} required for this coupon`);
+  }
+
+  let amount = this.type === 'percentage'
+    ? eligibleSubtotal * this.value / 100
+    : this.value;
+  if (this.type === 'percentage' && this.maxDiscount) amount = Math.min(amount, this.maxDiscount);
+  amount = Math.round(Math.min(amount, eligibleSubtotal) * 100) / 100;
+
+  // Spread the discount over eligible lines so tax and refunds see it per item
+  const lineDiscounts = lineTotals.map(total => Math.round(amount * total / eligibleSubtotal * 100) / 100);
+
+  return { amount, eligibleSubtotal, lineDiscounts };
+};
+
+// Record a redemption against an order
+couponSchema.statics.redeem = function(coupon, { user, order, amount }, session) {
+  return this.updateOne(
+    { _id: coupon._id },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user, order, amount, redeemedAt: new Date() } }
+    },
+    { session }
+  );
+};
+
+// Give a redemption back, e.g. when its order is cancelled
+couponSchema.statics.releaseRedemption = function(orderId, session) {
+  return this.updateOne(
+    { 'redemptions.order': orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    },
+    { session }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// An uploaded KYC file. Artisan.documents fields hold the id of one of
+// these; the file itself lives in private storage and is only served to
+// its owner and admins.
+const kycDocumentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['idProof', 'addressProof', 'businessLicense'],
+    required: true
+  },
+  storage: { // adapter that holds the file
+    type: String,
+    required: true
+  },
+  key: { // adapter-specific location of the file
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: Number
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+kycDocumentSchema.index({ owner: 1, type: 1 });
+
+// Method to check whether a user may view the file
+kycDocumentSchema.methods.canBeViewedBy = function(user) {
+  return user.role === 'admin' || this.owner.toString() === user._id.toString();
+};
+
+// Check that each uploaded-file field of Artisan.documents names a file this
+// user uploaded for that field; throws a 400 error otherwise
+kycDocumentSchema.statics.verifyReferences = async function(documents, ownerId) {
+  for (const type of ['idProof', 'addressProof', 'businessLicense']) {
+    const id = documents && documents[type];
+    if (!id) continue;
+
+    const found = mongoose.isValidObjectId(id) && await this.exists({ _id: id, owner: ownerId, type });
+    if (!found) {
+      const error = new Error(`${type} must be a document you have uploaded`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+};
+
+// Count a user's uploads still waiting to be part of a submitted
+// application: those uploaded since the artisan profile was last saved
+// (or ever, before there is one) that the profile does not point to
+kycDocumentSchema.statics.countPending = function(ownerId, artisan) {
+  const filter = { owner: ownerId };
+  if (artisan) {
+    const attached = ['idProof', 'addressProof', 'businessLicense']
+      .map(type => artisan.documents && artisan.documents[type])
+      .filter(id => mongoose.isValidObjectId(id));
+    filter._id = { $nin: attached };
+    filter.createdAt = { $gt: artisan.updatedAt };
+  }
+  return this.countDocuments(filter);
+};
+
+// Private URL for the file; still requires the viewer to be authenticated
+kycDocumentSchema.virtual('url').get(function() {
+  return `/api/artisans/documents/${this._id}`;
+});
+
+kycDocumentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.key;
+    delete ret.storage;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('KycDocument', kycDocumentSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One movement of money owed to an artisan for a line item: a sale when the
+// item is delivered, or a reversal when it is returned or refunded.
+// Amounts are signed (reversals are negative) so balances are plain sums.
+const ledgerEntrySchema = new mongoose.Schema({
+  artisan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artisan',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  item: { // order line item id
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'reversal'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  gross: { // taxable value after discount
+    type: Number,
+    required: true
+  },
+  tax: { // GST collected, passed through to the artisan as seller
+    type: Number,
+    default: 0
+  },
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+  commission: {
+    type: Number,
+    required: true
+  },
+  net: { // gross + tax - commission
+    type: Number,
+    required: true
+  },
+  availableAt: { // sales mature once the return window has passed
+    type: Date,
+    required: true
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ledgerEntrySchema.index({ artisan: 1, payout: 1, availableAt: 1 });
+ledgerEntrySchema.index({ order: 1 });
+// One sale entry per line item
+ledgerEntrySchema.index(
+  { order: 1, item: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'sale' } }
+);
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// A customer return request: the open one is kept in `return`, earlier
+// ones (and their decisions) in `returnHistory`
+const returnRequestFields = {
+  requested: {
+    type: Boolean,
+    default: false
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'completed']
+  },
+  items: [{
+    itemId: mongoose.Schema.Types.ObjectId,
+    quantity: {
+      type: Number,
+      min: 1
+    }
+  }],
+  requestedAt: Date,
+  approvedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: String,
+  completedAt: Date,
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  }
+};
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -22,6 +57,7 @@ const orderSchema = new mongoose.Schema({
       ref: 'Artisan',
       required: true
     },
+    title: String, // product title at time of purchase, for search and history
     quantity: {
       type: Number,
       required: true,
@@ -31,6 +67,29 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    refundedQuantity: {
+      type: Number,
+      default: 0
+    },
+    returnedQuantity: {
+      type: Number,
+      default: 0
+    },
+    discount: { // this line's share of the coupon discount
+      type: Number,
+      default: 0
+    },
+    tax: {
+      rate: Number, // GST percent
+      amount: {
+        type: Number,
+        default: 0
+      },
+      supplyType: { // fixed at checkout, so later address changes don't alter the invoice
+        type: String,
+        enum: ['intrastate', 'interstate', 'export']
+      }
+    },
     customization: {
       options: [{
         name: String,
@@ -111,6 +170,24 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    taxBreakdown: {
+      cgst: {
+        type: Number,
+        default: 0
+      },
+      sgst: {
+        type: Number,
+        default: 0
+      },
+      igst: {
+        type: Number,
+        default: 0
+      },
+      zeroRated: { // export orders
+        type: Boolean,
+        default: false
+      }
+    },
     discount: {
       amount: {
         type: Number,
@@ -150,7 +227,7 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: ['pending', 'confirmed', 'processing', 'partially-shipped', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
   timeline: [{
@@ -169,6 +246,18 @@ const orderSchema = new mongoose.Schema({
     customer: String,
     internal: String
   },
+  // One tax invoice per artisan, numbered in that artisan's own sequence
+  invoices: [{
+    artisan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artisan'
+    },
+    number: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   estimatedDelivery: Date,
   actualDelivery: Date,
   cancellation: {
@@ -183,82 +272,371 @@ const orderSchema = new mongoose.Schema({
       enum: ['pending', 'processed', 'failed']
     }
   },
-  return: {
-    requested: {
-      type: Boolean,
-      default: false
-    },
-    reason: String,
-    status: {
-      type: String,
-      enum: ['requested', 'approved', 'rejected', 'completed']
-    },
-    requestedAt: Date,
-    approvedAt: Date
-  }
+  return: returnRequestFields,
+  returnHistory: [returnRequestFields]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
+// Allowed order status transitions: current status -> next statuses.
+// Neighbours are listed in the order statusPathTo tries them, so a full
+// shipment goes through 'shipped' rather than 'partially-shipped'
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'partially-shipped', 'cancelled'],
+  processing: ['shipped', 'partially-shipped', 'cancelled'],
+  'partially-shipped': ['shipped', 'delivered'],
+  shipped: ['delivered'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+// Allowed line item status transitions
+const ITEM_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in-production', 'ready', 'shipped', 'cancelled'],
+  'in-production': ['ready', 'shipped', 'cancelled'],
+  ready: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.ITEM_STATUS_TRANSITIONS = ITEM_STATUS_TRANSITIONS;
+
 // Indexes for better query performance
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'items.artisan': 1, createdAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'invoices.number': 1 });
 
-// Generate order number before saving
-orderSchema.pre('save', function(next) {
+// Luhn check digit over a string of digits
+const luhnCheckDigit = digits => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+// Order numbers look like LL-261019-00042-7: date (YYMMDD), that day's
+// sequence from the counters collection, and a Luhn check digit.
+// Numbers issued before sequences were introduced (LL + 9 digits)
+const LEGACY_ORDER_NUMBER_PATTERN = /^LL\d{9}$/;
+
+// Generate the next order number
+orderSchema.statics.generateOrderNumber = async function(date = new Date()) {
+  const datePart = [
+    date.getFullYear() % 100,
+    date.getMonth() + 1,
+    date.getDate()
+  ].map(part => String(part).padStart(2, '0')).join('');
+
+  const seq = String(await Counter.next(`order:${datePart}`)).padStart(5, '0');
+  return `LL-${datePart}-${seq}-${luhnCheckDigit(datePart + seq)}`;
+};
+
+// Normalize user input (case, spaces, missing dashes) to the canonical
+// form; returns null when the number is malformed or its check digit is wrong
+orderSchema.statics.normalizeOrderNumber = function(input) {
+  const compact = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  if (LEGACY_ORDER_NUMBER_PATTERN.test(compact)) return compact;
+
+  const parts = /^LL(\d{6})(\d{5,})(\d)$/.exec(compact);
+  if (!parts) return null;
+
+  const [, datePart, seq, checkDigit] = parts;
+  if (luhnCheckDigit(datePart + seq) !== parseInt(checkDigit, 10)) return null;
+  return `LL-${datePart}-${seq}-${checkDigit}`;
+};
+
+// Generate order number before validation (orderNumber is required).
+// The counter is bumped outside any transaction, so an aborted checkout
+// leaves a gap rather than contending on the counter document.
+orderSchema.pre('validate', async function() {
   if (!this.orderNumber) {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    this.orderNumber = `LL${timestamp.slice(-6)}${random}`;
+    this.orderNumber = await this.constructor.generateOrderNumber();
   }
-  next();
 });
 
-// Add status to timeline when status changes
+// Snapshot what artisan stats need from each line item
+const itemSnapshot = item => ({
+  id: item._id.toString(),
+  status: item.status,
+  returnedQuantity: item.returnedQuantity || 0
+});
+
+// Remember the persisted status so transitions can be checked on save,
+// and the persisted line items so artisan stats can be updated by delta
+orderSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+  this.$locals.persistedItems = this.items.map(itemSnapshot);
+});
+
+// Reject illegal status transitions and add them to the timeline.
+// An order may pass through several statuses before one save (see
+// advanceTo); every step must be allowed and each gets a timeline entry.
 orderSchema.pre('save', function(next) {
   if (this.isModified('status') && !this.isNew) {
-    this.timeline.push({
-      status: this.status,
-      timestamp: new Date(),
-      note: `Order status changed to ${this.status}`
+    const steps = [...(this.$locals.statusChanges || [])];
+    if (!steps.length || steps[steps.length - 1].status !== this.status) {
+      steps.push({ status: this.status });
+    }
+
+    let from = this.$locals.persistedStatus;
+    for (const step of steps) {
+      if (from && from !== step.status && !STATUS_TRANSITIONS[from].includes(step.status)) {
+        const error = new Error(`Cannot change order status from ${from} to ${step.status}`);
+        error.statusCode = 400;
+        return next(error);
+      }
+      from = step.status;
+    }
+
+    steps.forEach(step => {
+      this.timeline.push({
+        status: step.status,
+        timestamp: new Date(),
+        note: step.note || `Order status changed to ${step.status}`,
+        updatedBy: step.updatedBy
+      });
     });
+    this.$locals.statusChanges = null;
+    this.$locals.persistedStatus = this.status;
   }
   next();
 });
 
+// An item's contribution to its artisan's sales: delivered units not
+// returned, and their share of the line total after discount
+function deliveredSales(item, snapshot) {
+  if (!snapshot || snapshot.status !== 'delivered') return { units: 0, revenue: 0 };
+  const units = item.quantity - snapshot.returnedQuantity;
+  const lineTotal = item.price * item.quantity - (item.discount || 0);
+  return { units, revenue: lineTotal * units / item.quantity };
+}
+
+// Work out per-artisan stats changes from deliveries and returns before saving
+orderSchema.pre('save', function(next) {
+  const persisted = new Map((this.$locals.persistedItems || []).map(snapshot => [snapshot.id, snapshot]));
+  const deltas = new Map();
+
+  this.items.forEach(item => {
+    const artisanId = (item.artisan._id || item.artisan).toString();
+    const before = deliveredSales(item, persisted.get(item._id.toString()));
+    const after = deliveredSales(item, itemSnapshot(item));
+    const delta = deltas.get(artisanId) || { units: 0, revenue: 0, deliveredBefore: false, deliveredAfter: false };
+
+    delta.units += after.units - before.units;
+    delta.revenue += after.revenue - before.revenue;
+    delta.deliveredBefore = delta.deliveredBefore || before.units > 0;
+    delta.deliveredAfter = delta.deliveredAfter || after.units > 0;
+    deltas.set(artisanId, delta);
+  });
+
+  this.$locals.artisanStatsDeltas = deltas;
+  next();
+});
+
+// Apply the stats changes once the order is saved
+orderSchema.post('save', async function() {
+  const Artisan = mongoose.model('Artisan');
+  const deltas = this.$locals.artisanStatsDeltas || new Map();
+
+  for (const [artisanId, delta] of deltas) {
+    const completedOrders = Number(delta.deliveredAfter) - Number(delta.deliveredBefore);
+    if (delta.units === 0 && delta.revenue === 0 && completedOrders === 0) continue;
+
+    await Artisan.updateOne(
+      { _id: artisanId },
+      {
+        $inc: {
+          'stats.totalSales': delta.units,
+          'stats.totalRevenue': Math.round(delta.revenue * 100) / 100,
+          'stats.completedOrders': completedOrders
+        }
+      },
+      { session: this.$session() }
+    );
+  }
+
+  this.$locals.artisanStatsDeltas = null;
+  this.$locals.persistedItems = this.items.map(itemSnapshot);
+});
+
+// Virtual for statuses the order may move to next (for UIs)
+orderSchema.virtual('allowedTransitions').get(function() {
+  return STATUS_TRANSITIONS[this.status] || [];
+});
+
 // Virtual for order total items count
 orderSchema.virtual('totalItems').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
+// Item status that corresponds to each order-level status
+const ITEM_STATUS_FOR_ORDER = {
+  confirmed: 'confirmed',
+  processing: 'in-production',
+  shipped: 'shipped',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+// Method to check whether the order may move to a status
+orderSchema.methods.canTransitionTo = function(status) {
+  return status === this.status || (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the order to a new status, recording who did it.
+// Throws (with statusCode 400) on an illegal transition.
+orderSchema.methods.transitionTo = function(status, { updatedBy, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(
+      `Cannot change order status from ${this.status} to ${status}. Allowed: ${this.allowedTransitions.join(', ') || 'none'}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (status !== this.status) {
+    this.status = status;
+    this.$locals.statusChanges = [...(this.$locals.statusChanges || []), { status, updatedBy, note }];
+  }
+  return this;
+};
+
+// Method to find the shortest chain of allowed transitions to a status;
+// returns the statuses to pass through (ending with it), or null
+orderSchema.methods.statusPathTo = function(status) {
+  const previous = { [this.status]: null };
+  const queue = [this.status];
+
+  while (queue.length) {
+    const current = queue.shift();
+    if (current === status) {
+      const path = [];
+      for (let step = status; step !== this.status; step = previous[step]) path.unshift(step);
+      return path;
+    }
+    (STATUS_TRANSITIONS[current] || []).forEach(next => {
+      if (!(next in previous)) {
+        previous[next] = current;
+        queue.push(next);
+      }
+    });
+  }
+  return null;
+};
+
+// Method to move the order forward to a status through any intermediate
+// statuses it has to pass on the way, e.g. pending -> confirmed -> processing.
+// Returns false (and changes nothing) if the status can't be reached.
+orderSchema.methods.advanceTo = function(status, { updatedBy, note } = {}) {
+  const path = this.statusPathTo(status);
+  if (!path) return false;
+
+  path.forEach(step => this.transitionTo(step, { updatedBy, note: step === status ? note : undefined }));
+  return true;
+};
+
+// Method to check whether a line item may move to a status
+orderSchema.methods.canTransitionItem = function(item, status) {
+  return status === item.status || (ITEM_STATUS_TRANSITIONS[item.status] || []).includes(status);
+};
+
+// Method to derive the overall order status from its line items
+orderSchema.methods.deriveStatusFromItems = function() {
+  const active = this.items.filter(item => item.status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+
+  const count = (...statuses) => active.filter(item => statuses.includes(item.status)).length;
+
+  if (count('delivered') === active.length) return 'delivered';
+  if (count('shipped', 'delivered') === active.length) return 'shipped';
+  if (count('shipped', 'delivered') > 0) return 'partially-shipped';
+  if (count('pending') === active.length) return 'pending';
+  if (count('in-production', 'ready') > 0) return 'processing';
+  return 'confirmed';
+};
+
+// Method to set every active line item to match an order-level status
+orderSchema.methods.applyStatusToItems = function(status) {
+  const itemStatus = ITEM_STATUS_FOR_ORDER[status];
+  if (!itemStatus) return;
+
+  this.items.forEach(item => {
+    if (item.status === 'cancelled' || !this.canTransitionItem(item, itemStatus)) return;
+    item.status = itemStatus;
+    if (itemStatus === 'delivered' && !item.tracking.actualDelivery) {
+      item.tracking.actualDelivery = new Date();
+    }
+  });
+};
+
 // Method to check if order can be cancelled
 orderSchema.methods.canBeCancelled = function() {
   return ['pending', 'confirmed'].includes(this.status);
 };
 
 // Method to check if order can be returned
-orderSchema.methods.canBeReturned = function() {
+// windowDays comes from the category/artisan return policy (7 days by default)
+orderSchema.methods.canBeReturned = function(windowDays = 7) {
   if (this.status !== 'delivered') return false;
+  if (this.return && ['requested', 'approved'].includes(this.return.status)) return false;
   const deliveryDate = this.actualDelivery || this.createdAt;
   const daysSinceDelivery = (Date.now() - deliveryDate.getTime()) / (1000 * 60 * 60 * 24);
-  return daysSinceDelivery <= 7; // 7 days return policy
+  return daysSinceDelivery <= windowDays;
 };
 
 // Method to calculate refund amount
-orderSchema.methods.calculateRefundAmount = function() {
+// Pass [{ itemId, quantity }] to refund specific line items; omit for the whole order
+orderSchema.methods.calculateRefundAmount = function(lineItems) {
   if (this.payment.status !== 'completed') return 0;
   
-  let refundAmount = this.pricing.totalAmount;
+  const remaining = this.pricing.totalAmount - (this.payment.refundAmount || 0);
+  
+  if (!lineItems || lineItems.length === 0) {
+    let refundAmount = remaining;
+    
+    // Deduct shipping cost if order is shipped
+    if (['shipped', 'delivered'].includes(this.status)) {
+      refundAmount -= this.pricing.shippingCost;
+    }
+    
+    return Math.max(0, refundAmount);
+  }
   
-  // Deduct shipping cost if order is shipped
-  if (['shipped', 'delivered'].includes(this.status)) {
-    refundAmount -= this.pricing.shippingCost;
+  // Line items carry their share of tax and order-level discount
+  let refundAmount = 0;
+  for (const { itemId, quantity } of lineItems) {
+    const item = this.items.id(itemId);
+    if (!item) continue;
+    
+    const refundableQuantity = Math.min(quantity, item.quantity - (item.refundedQuantity || 0));
+    if (refundableQuantity <= 0) continue;
+    
+    const lineTotal = item.price * refundableQuantity;
+    const share = this.pricing.subtotal > 0 ? lineTotal / this.pricing.subtotal : 0;
+    const lineTax = item.tax && item.tax.rate !== undefined
+      ? item.tax.amount * refundableQuantity / item.quantity
+      : this.pricing.tax * share;
+    const lineDiscount = (item.discount || 0) * refundableQuantity / item.quantity;
+    refundAmount += lineTotal + lineTax - lineDiscount;
   }
   
-  return Math.max(0, refundAmount);
+  return Math.max(0, Math.min(Math.round(refundAmount * 100) / 100, remaining));
 };
 
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,114 @@
+const Counter = require('./Counter');
+const Order = require('./Order');
+
+describe('order numbers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('generates dated, zero-padded numbers with a Luhn check digit', async () => {
+    jest.spyOn(Counter, 'next').mockResolvedValue(42);
+
+    const orderNumber = await Order.generateOrderNumber(new Date(2026, 9, 19));
+    expect(Counter.next).toHaveBeenCalledWith('order:261019');
+    expect(orderNumber).toBe('LL-261019-00042-9');
+  });
+
+  it('normalizes case, spaces and missing dashes', () => {
+    expect(Order.normalizeOrderNumber('ll-261019-00042-9')).toBe('LL-261019-00042-9');
+    expect(Order.normalizeOrderNumber(' LL 261019 00042 9 ')).toBe('LL-261019-00042-9');
+    expect(Order.normalizeOrderNumber('LL261019000429')).toBe('LL-261019-00042-9');
+  });
+
+  it('accepts sequences longer than five digits', () => {
+    expect(Order.normalizeOrderNumber('LL-261019-123456-0')).toBe('LL-261019-123456-0');
+  });
+
+  it('rejects numbers with a wrong check digit', () => {
+    expect(Order.normalizeOrderNumber('LL-261019-00042-7')).toBeNull();
+    // Swapping two digits changes the check digit
+    expect(Order.normalizeOrderNumber('LL-261019-00024-9')).toBeNull();
+  });
+
+  it('rejects malformed input', () => {
+    expect(Order.normalizeOrderNumber('')).toBeNull();
+    expect(Order.normalizeOrderNumber(undefined)).toBeNull();
+    expect(Order.normalizeOrderNumber('XX-261019-00042-9')).toBeNull();
+    expect(Order.normalizeOrderNumber('LL-2610-00042-9')).toBeNull();
+  });
+
+  it('keeps legacy numbers as they are', () => {
+    expect(Order.normalizeOrderNumber('ll123456789')).toBe('LL123456789');
+  });
+});
+
+describe('deriveStatusFromItems', () => {
+  const derive = (...statuses) => new Order({ items: statuses.map(status => ({ status })) }).deriveStatusFromItems();
+
+  it('is cancelled only when every line is', () => {
+    expect(derive('cancelled', 'cancelled')).toBe('cancelled');
+    expect(derive('cancelled', 'pending')).toBe('pending');
+  });
+
+  it('ignores cancelled lines', () => {
+    expect(derive('delivered', 'cancelled')).toBe('delivered');
+    expect(derive('shipped', 'cancelled')).toBe('shipped');
+  });
+
+  it('is delivered or shipped once every active line is', () => {
+    expect(derive('delivered', 'delivered')).toBe('delivered');
+    expect(derive('shipped', 'delivered')).toBe('shipped');
+  });
+
+  it('is partially shipped while some lines are still being made', () => {
+    expect(derive('shipped', 'in-production')).toBe('partially-shipped');
+    expect(derive('delivered', 'pending')).toBe('partially-shipped');
+  });
+
+  it('is processing once work has started on any line', () => {
+    expect(derive('ready', 'confirmed')).toBe('processing');
+    expect(derive('in-production', 'pending')).toBe('processing');
+  });
+
+  it('is pending until a line is confirmed', () => {
+    expect(derive('pending', 'pending')).toBe('pending');
+    expect(derive('confirmed', 'pending')).toBe('confirmed');
+  });
+});
+
+describe('advanceTo', () => {
+  const statusSteps = order => (order.$locals.statusChanges || []).map(({ status }) => status);
+
+  it('steps through the statuses in between', () => {
+    const order = new Order({ status: 'pending' });
+    expect(order.advanceTo('processing')).toBe(true);
+    expect(order.status).toBe('processing');
+    expect(statusSteps(order)).toEqual(['confirmed', 'processing']);
+  });
+
+  it('takes a full shipment through shipped, not partially shipped', () => {
+    const order = new Order({ status: 'confirmed' });
+    order.advanceTo('delivered');
+    expect(statusSteps(order)).toEqual(['shipped', 'delivered']);
+  });
+
+  it('attaches the note to the final step only', () => {
+    const order = new Order({ status: 'pending' });
+    order.advanceTo('shipped', { note: 'Handed to courier' });
+    expect(order.$locals.statusChanges.map(({ note }) => note)).toEqual([undefined, 'Handed to courier']);
+  });
+
+  it('never moves backwards and changes nothing when the status cannot be reached', () => {
+    const order = new Order({ status: 'shipped' });
+    expect(order.advanceTo('processing')).toBe(false);
+    expect(order.advanceTo('cancelled')).toBe(false);
+    expect(order.status).toBe('shipped');
+    expect(statusSteps(order)).toEqual([]);
+  });
+
+  it('is a no-op for the current status', () => {
+    const order = new Order({ status: 'confirmed' });
+    expect(order.advanceTo('confirmed')).toBe(true);
+    expect(statusSteps(order)).toEqual([]);
+  });
+});
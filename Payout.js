@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  batch: { // payout run, e.g. PB-261019-01
+    type: String,
+    required: true
+  },
+  artisan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artisan',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  method: {
+    type: String,
+    enum: ['bank', 'upi'],
+    required: true
+  },
+  // Bank details as they were when the payout was created
+  beneficiary: {
+    accountHolderName: String,
+    accountNumber: String,
+    bankName: String,
+    ifscCode: String,
+    upiId: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'failed'],
+    default: 'pending'
+  },
+  reference: String, // bank UTR or UPI transaction id
+  failureReason: String,
+  paidAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+payoutSchema.index({ batch: 1 });
+payoutSchema.index({ artisan: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+
+// Allowed payout status transitions
+payoutSchema.statics.STATUS_TRANSITIONS = {
+  pending: ['processing', 'paid', 'failed'],
+  processing: ['paid', 'failed'],
+  paid: [],
+  failed: []
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
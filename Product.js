@@ -64,6 +64,11 @@ const productSchema = new mongoose.Schema({
       required: [true, 'Quantity is required'],
       min: [0, 'Quantity cannot be negative']
     },
+    reserved: {
+      type: Number, // units held by active checkout reservations
+      default: 0,
+      min: 0
+    },
     lowStockThreshold: {
       type: Number,
       default: 5
@@ -119,8 +124,8 @@ const productSchema = new mongoose.Schema({
     }
   },
   shipping: {
-    weight: Number,
-    dimensions: {
+    weight: Number, // in grams
+    dimensions: { // in cm
       length: Number,
       width: Number,
       height: Number
@@ -248,6 +253,11 @@ productSchema.virtual('discountedPrice').get(function() {
   return this.price.amount;
 });
 
+// Virtual for stock not held by checkout reservations
+productSchema.virtual('availableQuantity').get(function() {
+  return Math.max(0, this.inventory.quantity - (this.inventory.reserved || 0));
+});
+
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
   if (!this.inventory.trackInventory) return 'in-stock';
@@ -263,10 +273,11 @@ productSchema.methods.incrementViews = function() {
 };
 
 // Method to check if product is available
-productSchema.methods.isAvailable = function(quantity = 1) {
+// heldQuantity is stock the caller already holds through a reservation
+productSchema.methods.isAvailable = function(quantity = 1, heldQuantity = 0) {
   if (!this.isActive) return false;
   if (!this.inventory.trackInventory) return true;
-  return this.inventory.quantity >= quantity;
+  return this.availableQuantity + heldQuantity >= quantity;
 };
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  automatic: {
+    type: Boolean,
+    default: false
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    default: 'manual'
+  },
+  inProgress: { // set while pending or processing; at most one per order
+    type: Boolean,
+    default: true
+  },
+  gatewayRefundId: String,
+  failureReason: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ gatewayRefundId: 1 });
+// Only one refund per order may be in flight at a time
+refundSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { inProgress: true } });
+
+// Keep the in-flight flag in step with the status
+refundSchema.pre('save', function(next) {
+  this.inProgress = ['pending', 'processing'].includes(this.status);
+  next();
+});
+
+// Virtual for whether the refund covers the whole order
+refundSchema.virtual('isPartial').get(function() {
+  return this.items.length > 0;
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
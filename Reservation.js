@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+reservationSchema.index({ user: 1, product: 1, status: 1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+// Default hold duration in minutes
+const HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES) || 15;
+
+// Place a hold on product stock, guarded so holds never exceed unreserved stock
+reservationSchema.statics.hold = async function({ user, product, quantity }, session) {
+  const Product = mongoose.model('Product');
+
+  if (product.inventory.trackInventory) {
+    const result = await Product.updateOne(
+      {
+        _id: product._id,
+        $expr: {
+          $gte: [
+            { $subtract: ['$inventory.quantity', { $ifNull: ['$inventory.reserved', 0] }] },
+            quantity
+          ]
+        }
+      },
+      { $inc: { 'inventory.reserved': quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) return null;
+  }
+
+  const [reservation] = await this.create([{
+    product: product._id,
+    user,
+    quantity,
+    expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+  }], { session });
+
+  return reservation;
+};
+
+// Find the user's unexpired hold on a product
+reservationSchema.statics.findActive = function(user, product, session) {
+  return this.findOne({
+    user,
+    product,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).session(session || null);
+};
+
+// End a hold and give its stock back to the product
+reservationSchema.statics.release = async function(reservationId, status = 'released', session) {
+  const Product = mongoose.model('Product');
+
+  const reservation = await this.findOneAndUpdate(
+    { _id: reservationId, status: 'active' },
+    { status, releasedAt: new Date() },
+    { new: true, session }
+  );
+
+  if (!reservation) return null;
+
+  await Product.updateOne(
+    { _id: reservation.product, 'inventory.reserved': { $gte: reservation.quantity } },
+    { $inc: { 'inventory.reserved': -reservation.quantity } },
+    { session }
+  );
+
+  return reservation;
+};
+
+// Mark a hold as consumed by an order; returns the held quantity,
+// or 0 if the hold was released before the order could claim it
+reservationSchema.statics.convert = async function(reservation, orderId, session) {
+  const result = await this.updateOne(
+    { _id: reservation._id, status: 'active' },
+    { status: 'converted', order: orderId },
+    { session }
+  );
+
+  return result.modifiedCount === 0 ? 0 : reservation.quantity;
+};
+
+// Release every hold whose time has run out
+reservationSchema.statics.releaseExpired = async function() {
+  const expired = await this.find({
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    const session = await mongoose.startSession();
+    let reservation;
+    try {
+      await session.withTransaction(async () => {
+        reservation = await this.release(_id, 'expired', session);
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (reservation) released += 1;
+  }
+
+  return released;
+};
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A signed-in session: one refresh token family. Each refresh replaces the
+// current token and keeps the hash of the old one, so a replayed token can
+// be recognised and the whole family revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: { // sha256 of the current refresh token
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: [String], // most recent rotated-out tokens
+  userAgent: String,
+  device: String, // readable summary of the user agent, e.g. "Chrome on Windows"
+  ipAddress: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse', 'password-reset', 'password-change', 'revoked']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be refreshed
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.previousTokenHashes;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -78,6 +78,8 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
   lastLogin: Date,
@@ -119,6 +121,15 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Generate email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = new Date();
+  return verificationToken;
+};
+
 // Remove sensitive data from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
@@ -126,6 +137,7 @@ userSchema.methods.toJSON = function() {
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   return userObject;
 };
 
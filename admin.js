@@ -0,0 +1,137 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Artisan = require('../models/Artisan');
+const KycDocument = require('../models/KycDocument');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateObjectId, validatePagination, validateVerificationDecision } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/admin/artisans/pending
+// @desc    Verification queue: artisans awaiting review, longest waiting first
+// @access  Private/Admin
+router.get('/artisans/pending', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { verificationStatus: 'pending' };
+
+    const artisans = await Artisan.find(filter)
+      .select('+verificationHistory')
+      .populate('user', 'name email phone createdAt')
+      .populate('verificationHistory.by', 'name email')
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalArtisans = await Artisan.countDocuments(filter);
+    const totalPages = Math.ceil(totalArtisans / limit);
+
+    res.json({
+      success: true,
+      data: {
+        artisans,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalArtisans,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get pending artisans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching verification queue'
+    });
+  }
+});
+
+// @route   GET /api/admin/artisans/:id/verification
+// @desc    Artisan documents and verification audit trail
+// @access  Private/Admin
+router.get('/artisans/:id/verification', authenticateToken, requireAdmin, validateObjectId('id'), async (req, res) => {
+  try {
+    const artisan = await Artisan.findById(req.params.id)
+      .select('businessName user documents verificationStatus verificationNotes verifiedAt verifiedBy +verificationHistory')
+      .populate('user', 'name email phone')
+      .populate('verifiedBy', 'name email')
+      .populate('verificationHistory.by', 'name email');
+
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan not found'
+      });
+    }
+
+    // Uploaded files behind the document fields, with their private URLs
+    const documentIds = ['idProof', 'addressProof', 'businessLicense']
+      .map(type => artisan.documents && artisan.documents[type])
+      .filter(id => id && mongoose.isValidObjectId(id));
+    const documentFiles = await KycDocument.find({ _id: { $in: documentIds } });
+
+    res.json({
+      success: true,
+      data: { artisan, documentFiles }
+    });
+  } catch (error) {
+    console.error('Get artisan verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching verification'
+    });
+  }
+});
+
+// @route   PUT /api/admin/artisans/:id/verification/:decision
+// @desc    Approve or reject a pending artisan (decision: approve | reject)
+// @access  Private/Admin
+router.put('/artisans/:id/verification/:decision', authenticateToken, requireAdmin, validateObjectId('id'), validateVerificationDecision, async (req, res) => {
+  try {
+    const artisan = await Artisan.findById(req.params.id).select('+verificationHistory');
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan not found'
+      });
+    }
+
+    if (artisan.verificationStatus !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Artisan is already ${artisan.verificationStatus}`
+      });
+    }
+
+    const action = req.params.decision === 'approve' ? 'approved' : 'rejected';
+    artisan.recordVerification(action, { by: req.user._id, notes: req.body.notes });
+    await artisan.save();
+
+    res.json({
+      success: true,
+      message: `Artisan ${action}`,
+      data: {
+        artisan: {
+          id: artisan._id,
+          businessName: artisan.businessName,
+          verificationStatus: artisan.verificationStatus,
+          verificationNotes: artisan.verificationNotes,
+          verifiedAt: artisan.verifiedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Artisan verification decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating verification'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,35 @@
 const express = require('express');
 const router = express.Router();
+const Artisan = require('../models/Artisan');
+const { consumeAiGeneration } = require('../services/subscriptionPlans');
 const { authenticateToken, requireArtisan } = require('../middleware/auth');
 
 // Helpers: mock AI responses if no API key is configured
 const hasOpenAI = !!process.env.OPENAI_API_KEY;
 
+// Count the request against the artisan's monthly AI generation quota
+const useAiQuota = async (req, res, next) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id }).select('subscription');
+    if (!artisan) {
+      return res.status(404).json({ success: false, message: 'Artisan profile not found' });
+    }
+
+    await consumeAiGeneration(artisan);
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('AI quota error:', error);
+    res.status(500).json({ success: false, message: 'Server error while checking AI quota' });
+  }
+};
+
 // @route   POST /api/ai/description
 // @desc    Generate product description and tags from title and optional brief
 // @access  Private/Artisan
-router.post('/description', authenticateToken, requireArtisan, async (req, res) => {
+router.post('/description', authenticateToken, requireArtisan, useAiQuota, async (req, res) => {
   try {
     const { title, brief, materials = [], techniques = [] } = req.body;
     if (!title) {
@@ -57,7 +78,7 @@ router.post('/pricing', authenticateToken, requireArtisan, async (req, res) => {
 // @route   POST /api/ai/social
 // @desc    Generate social media post drafts
 // @access  Private/Artisan
-router.post('/social', authenticateToken, requireArtisan, async (req, res) => {
+router.post('/social', authenticateToken, requireArtisan, useAiQuota, async (req, res) => {
   try {
     const { title, theme = 'launch', hashtags = [] } = req.body;
     const baseHash = ['#Handmade', '#SupportLocal', '#Artisan', '#LocalLense'];
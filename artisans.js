@@ -1,8 +1,18 @@
 const express = require('express');
+const multer = require('multer');
 const Artisan = require('../models/Artisan');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const KycDocument = require('../models/KycDocument');
+const { getArtisanBalance, getCommissionRate } = require('../services/payoutService');
+const { MAX_DOCUMENT_SIZE_BYTES, validateDocumentFile, getDocumentStorage } = require('../services/documentStorage');
+const { PLANS, PLAN_ORDER, getEffectivePlan, getPlanUsage, changePlan, renewPlan, applyPlanPaymentEvent } = require('../services/subscriptionPlans');
+const { isMockAllowed, getPaymentProvider } = require('../services/paymentGateway');
 const { authenticateToken, requireArtisan, requireAdmin } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const { requireVerifiedEmail } = require('../middleware/emailVerification');
+const { validateObjectId, validatePagination, validateAnalyticsQuery, validatePlanChange, validateVerificationResubmission, validateDocumentUpload } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -34,6 +44,7 @@ router.get('/', validatePagination, async (req, res) => {
     }
 
     const artisans = await Artisan.find(filter)
+      .select(Artisan.PRIVATE_FIELDS)
       .populate('user', 'name avatar')
       .sort({ 'rating.average': -1, createdAt: -1 })
       .skip(skip)
@@ -64,12 +75,626 @@ router.get('/', validatePagination, async (req, res) => {
   }
 });
 
+// Bucket labels for the analytics time series
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V', // ISO week
+  month: '%Y-%m'
+};
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// @route   GET /api/artisans/me/analytics
+// @desc    Sales analytics for the current artisan (?period=day|week|month&from=&to=)
+// @access  Private/Artisan
+router.get('/me/analytics', authenticateToken, requireArtisan, validateAnalyticsQuery, async (req, res) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id }).select('_id');
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const period = req.query.period || 'day';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const [sales] = await Order.aggregate([
+      { $match: { 'items.artisan': artisan._id, status: { $ne: 'cancelled' }, createdAt: { $gte: from, $lte: to } } },
+      { $unwind: '$items' },
+      // Only the artisan's own, non-cancelled lines count towards their sales
+      { $match: { 'items.artisan': artisan._id, 'items.status': { $ne: 'cancelled' } } },
+      {
+        $addFields: {
+          lineRevenue: {
+            $subtract: [{ $multiply: ['$items.price', '$items.quantity'] }, { $ifNull: ['$items.discount', 0] }]
+          }
+        }
+      },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: '$lineRevenue' },
+                units: { $sum: '$items.quantity' },
+                orders: { $addToSet: '$_id' }
+              }
+            },
+            { $project: { _id: 0, revenue: 1, units: 1, orders: { $size: '$orders' } } }
+          ],
+          timeSeries: [
+            {
+              $group: {
+                _id: { $dateToString: { format: PERIOD_FORMATS[period], date: '$createdAt' } },
+                revenue: { $sum: '$lineRevenue' },
+                units: { $sum: '$items.quantity' },
+                orders: { $addToSet: '$_id' }
+              }
+            },
+            { $project: { _id: 0, period: '$_id', revenue: 1, units: 1, orders: { $size: '$orders' } } },
+            { $sort: { period: 1 } }
+          ],
+          topProducts: [
+            {
+              $group: {
+                _id: '$items.product',
+                revenue: { $sum: '$lineRevenue' },
+                units: { $sum: '$items.quantity' },
+                orders: { $addToSet: '$_id' }
+              }
+            },
+            { $sort: { revenue: -1 } },
+            { $limit: 5 },
+            { $lookup: { from: Product.collection.name, localField: '_id', foreignField: '_id', as: 'product' } },
+            { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                product: '$_id',
+                title: '$product.title',
+                category: '$product.category',
+                views: { $ifNull: ['$product.stats.views', 0] },
+                revenue: 1,
+                units: 1,
+                orders: { $size: '$orders' }
+              }
+            }
+          ],
+          customers: [
+            { $group: { _id: '$customer', orders: { $addToSet: '$_id' } } },
+            {
+              $group: {
+                _id: null,
+                customers: { $sum: 1 },
+                repeatCustomers: { $sum: { $cond: [{ $gt: [{ $size: '$orders' }, 1] }, 1, 0] } }
+              }
+            }
+          ],
+          categoryMix: [
+            { $lookup: { from: Product.collection.name, localField: 'items.product', foreignField: '_id', as: 'product' } },
+            {
+              $group: {
+                _id: { $ifNull: [{ $arrayElemAt: ['$product.category', 0] }, 'other'] },
+                revenue: { $sum: '$lineRevenue' },
+                units: { $sum: '$items.quantity' }
+              }
+            },
+            { $project: { _id: 0, category: '$_id', revenue: 1, units: 1 } },
+            { $sort: { revenue: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Views are only tracked as lifetime totals, so conversion compares
+    // them with lifetime units sold rather than the selected range
+    const [traffic] = await Product.aggregate([
+      { $match: { artisan: artisan._id } },
+      { $group: { _id: null, views: { $sum: '$stats.views' }, unitsSold: { $sum: '$stats.totalSold' } } }
+    ]);
+
+    const totals = sales.totals[0] || { revenue: 0, units: 0, orders: 0 };
+    const customers = sales.customers[0] || { customers: 0, repeatCustomers: 0 };
+    const views = traffic ? traffic.views : 0;
+    const unitsSold = traffic ? traffic.unitsSold : 0;
+    const percent = (part, whole) => (whole > 0 ? round(part / whole * 100) : 0);
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        from,
+        to,
+        summary: {
+          revenue: round(totals.revenue),
+          units: totals.units,
+          orders: totals.orders,
+          averageOrderValue: totals.orders > 0 ? round(totals.revenue / totals.orders) : 0,
+          customers: customers.customers,
+          repeatCustomers: customers.repeatCustomers,
+          repeatCustomerRate: percent(customers.repeatCustomers, customers.customers),
+          conversion: {
+            views,
+            unitsSold,
+            rate: percent(unitsSold, views)
+          }
+        },
+        timeSeries: sales.timeSeries.map(bucket => ({
+          ...bucket,
+          revenue: round(bucket.revenue),
+          averageOrderValue: bucket.orders > 0 ? round(bucket.revenue / bucket.orders) : 0
+        })),
+        topProducts: sales.topProducts.map(product => ({
+          ...product,
+          revenue: round(product.revenue)
+        })),
+        categoryMix: sales.categoryMix.map(category => ({
+          ...category,
+          revenue: round(category.revenue),
+          share: percent(category.revenue, totals.revenue)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get artisan analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching analytics'
+    });
+  }
+});
+
+// @route   GET /api/artisans/me/payouts
+// @desc    Balances, payouts and recent ledger entries for the current artisan
+// @access  Private/Artisan
+router.get('/me/payouts', authenticateToken, requireArtisan, validatePagination, async (req, res) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id }).select('subscription');
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const balance = await getArtisanBalance(artisan._id);
+
+    const payouts = await Payout.find({ artisan: artisan._id })
+      .select('-beneficiary.accountNumber -createdBy -updatedBy')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalPayouts = await Payout.countDocuments({ artisan: artisan._id });
+    const totalPages = Math.ceil(totalPayouts / limit);
+
+    const recentEntries = await LedgerEntry.find({ artisan: artisan._id })
+      .populate('order', 'orderNumber')
+      .populate('product', 'title')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: {
+        balance,
+        commissionRate: getCommissionRate(artisan),
+        payouts,
+        recentEntries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalPayouts,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get artisan payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payouts'
+    });
+  }
+});
+
+// KYC uploads are held in memory until the storage adapter saves them
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE_BYTES, files: 1 }
+}).single('file');
+
+// Uploads a user may have waiting before they submit or resubmit
+// their application; one per document type plus room for a retry
+const MAX_PENDING_DOCUMENTS = 6;
+
+// Refuse new uploads (before reading the file) once the cap is reached
+const limitPendingDocuments = async (req, res, next) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id }).select('documents updatedAt');
+    const pending = await KycDocument.countPending(req.user._id, artisan);
+    if (pending >= MAX_PENDING_DOCUMENTS) {
+      return res.status(429).json({
+        success: false,
+        message: `You can have at most ${MAX_PENDING_DOCUMENTS} documents waiting. Submit your application with the ones you have uploaded.`
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Count pending documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading document'
+    });
+  }
+};
+
+const uploadDocumentFile = (req, res, next) => documentUpload(req, res, error => {
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Documents must be under ${MAX_DOCUMENT_SIZE_BYTES / (1024 * 1024)}MB`
+        : error.message
+    });
+  }
+  next();
+});
+
+// @route   POST /api/artisans/documents
+// @desc    Upload a KYC document (multipart: file, type). Pass the returned id
+//          as documents.<type> when registering or resubmitting.
+// @access  Private (verified email, as for applying to sell)
+router.post('/documents', authenticateToken, requireVerifiedEmail('artisan'), limitPendingDocuments, uploadDocumentFile, validateDocumentUpload, async (req, res) => {
+  try {
+    const extension = validateDocumentFile(req.file);
+    const storage = getDocumentStorage();
+    const key = await storage.save({ buffer: req.file.buffer, ownerId: req.user._id, extension });
+
+    const document = await KycDocument.create({
+      owner: req.user._id,
+      type: req.body.type,
+      storage: storage.name,
+      key,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: { document }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading document'
+    });
+  }
+});
+
+// @route   GET /api/artisans/documents/:id
+// @desc    View a KYC document (owner or admin only)
+// @access  Private
+router.get('/documents/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const document = await KycDocument.findById(req.params.id);
+    // Don't reveal whether someone else's document exists
+    if (!document || !document.canBeViewedBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const file = await getDocumentStorage(document.storage).open(document.key);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (file.url) {
+      return res.redirect(file.url);
+    }
+
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Disposition', `inline; filename="${document.type}.${document.key.split('.').pop()}"`);
+    file.stream.on('error', error => {
+      console.error('Read document error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Get document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document'
+    });
+  }
+});
+
+// @route   GET /api/artisans/me/documents
+// @desc    The current user's uploaded KYC documents
+// @access  Private
+router.get('/me/documents', authenticateToken, async (req, res) => {
+  try {
+    const documents = await KycDocument.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { documents }
+    });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching documents'
+    });
+  }
+});
+
+// @route   POST /api/artisans/me/verification/resubmit
+// @desc    Resubmit a rejected application with updated documents or details
+// @access  Private/Artisan
+router.post('/me/verification/resubmit', authenticateToken, requireArtisan, validateVerificationResubmission, async (req, res) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id }).select('+verificationHistory');
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    if (artisan.verificationStatus !== 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: `Only rejected applications can be resubmitted; yours is ${artisan.verificationStatus}`
+      });
+    }
+
+    const allowedUpdates = ['businessName', 'description', 'specialties', 'experience', 'location'];
+    allowedUpdates.forEach(key => {
+      if (req.body[key] !== undefined) artisan[key] = req.body[key];
+    });
+
+    const { documents = {} } = req.body;
+    await KycDocument.verifyReferences(documents, req.user._id);
+    ['idProof', 'addressProof', 'businessLicense', 'taxId'].forEach(key => {
+      if (documents[key] !== undefined) artisan.documents[key] = documents[key];
+    });
+
+    artisan.recordVerification('resubmitted', { by: req.user._id, notes: req.body.notes });
+    await artisan.save();
+
+    res.json({
+      success: true,
+      message: 'Application resubmitted. It is back under review.',
+      data: {
+        artisan: {
+          id: artisan._id,
+          businessName: artisan.businessName,
+          verificationStatus: artisan.verificationStatus
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resubmit verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resubmitting application'
+    });
+  }
+});
+
+// @route   GET /api/artisans/me/subscription
+// @desc    Current plan, usage against its limits, history and available plans
+// @access  Private/Artisan
+router.get('/me/subscription', authenticateToken, requireArtisan, async (req, res) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id }).select('subscription usage');
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subscription: await getPlanUsage(artisan),
+        history: artisan.subscription.history,
+        pendingPayment: artisan.subscription.pendingPayment,
+        plans: PLAN_ORDER.map(name => ({ name, ...PLANS[name] }))
+      }
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching subscription'
+    });
+  }
+});
+
+// @route   POST /api/artisans/me/subscription/upgrade
+// @route   POST /api/artisans/me/subscription/downgrade
+// @desc    Move to a higher or lower plan
+// @access  Private/Artisan
+router.post('/me/subscription/:direction(upgrade|downgrade)', authenticateToken, requireArtisan, validatePlanChange, async (req, res) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id });
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const { plan } = req.body;
+    const { direction } = req.params;
+    const current = getEffectivePlan(artisan);
+    const isHigher = PLAN_ORDER.indexOf(plan) > PLAN_ORDER.indexOf(current);
+    if (plan !== current && isHigher !== (direction === 'upgrade')) {
+      return res.status(400).json({
+        success: false,
+        message: `${plan} is not ${direction === 'upgrade' ? 'above' : 'below'} your current ${current} plan`
+      });
+    }
+
+    const change = await changePlan(artisan, plan);
+
+    // Upgrades take effect once the payment goes through
+    if (change.payment) {
+      return res.status(201).json({
+        success: true,
+        message: `Complete the payment to upgrade to ${plan}`,
+        data: {
+          change,
+          subscription: await getPlanUsage(artisan)
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Subscription ${change.action}d to ${plan}`,
+      data: {
+        change,
+        subscription: await getPlanUsage(artisan)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Change subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing subscription'
+    });
+  }
+});
+
+// @route   POST /api/artisans/me/subscription/renew
+// @desc    Open a payment to extend the current paid plan by one billing period
+// @access  Private/Artisan
+router.post('/me/subscription/renew', authenticateToken, requireArtisan, async (req, res) => {
+  try {
+    const artisan = await Artisan.findOne({ user: req.user._id });
+    if (!artisan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const payment = await renewPlan(artisan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Complete the payment to renew your subscription',
+      data: {
+        payment,
+        subscription: await getPlanUsage(artisan)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Renew subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renewing subscription'
+    });
+  }
+});
+
+// @route   POST /api/artisans/me/subscription/confirm
+// @desc    Confirm the pending plan payment with the mock provider (not available in production)
+// @access  Private/Artisan
+router.post('/me/subscription/confirm', authenticateToken, requireArtisan, async (req, res) => {
+  try {
+    // Real gateways confirm payments themselves and report them by webhook
+    if (!isMockAllowed()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    // Test options such as { fail: true } are only honoured in development
+    const options = process.env.NODE_ENV === 'development' ? req.body.options : undefined;
+
+    const artisan = await Artisan.findOne({ user: req.user._id });
+    const pending = artisan && artisan.subscription.pendingPayment;
+    if (!pending || !pending.intentId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending subscription payment found'
+      });
+    }
+
+    const provider = getPaymentProvider(pending.paymentGateway);
+    const result = await provider.confirm(pending.intentId, options);
+    const updatedArtisan = await applyPlanPaymentEvent(result.event, provider);
+
+    res.json({
+      success: result.status === 'succeeded',
+      message: result.status === 'succeeded' ? 'Payment completed' : 'Payment failed',
+      data: {
+        subscription: updatedArtisan ? await getPlanUsage(updatedArtisan) : null
+      }
+    });
+  } catch (error) {
+    console.error('Confirm subscription payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming subscription payment'
+    });
+  }
+});
+
 // @route   GET /api/artisans/:id
 // @desc    Get single artisan
 // @access  Public
 router.get('/:id', validateObjectId('id'), async (req, res) => {
   try {
+    // KYC documents, bank details and review notes stay private
     const artisan = await Artisan.findById(req.params.id)
+      .select(Artisan.PRIVATE_FIELDS)
       .populate('user', 'name avatar createdAt');
 
     if (!artisan || !artisan.isActive) {
@@ -119,7 +744,7 @@ router.put('/profile', authenticateToken, requireArtisan, async (req, res) => {
 
     const allowedUpdates = [
       'businessName', 'description', 'specialties', 'experience',
-      'location', 'portfolio', 'socialMedia', 'bankDetails'
+      'location', 'portfolio', 'socialMedia', 'bankDetails', 'returnPolicy'
     ];
 
     const updates = {};
@@ -1,14 +1,44 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Artisan = require('../models/Artisan');
-const { generateToken, generateRefreshToken, authenticateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin, validateArtisanRegistration } = require('../middleware/validation');
+const KycDocument = require('../models/KycDocument');
+const { getPlanUsage } = require('../services/subscriptionPlans');
+const {
+  getClientInfo,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeSessionById,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { sendMail, queueMail } = require('../services/mailer');
+const { authenticateToken } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/emailVerification');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validatePasswordChange,
+  validatePasswordReset,
+  validateArtisanRegistration,
+  validateObjectId
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_EXPIRES_HOURS = 24;
+// Minimum wait between verification emails for one account
+const VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Link straight to the verify endpoint, which redirects browsers back to the site
+const verificationLink = (req, token) => {
+  const apiUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${apiUrl}/api/auth/verify-email/${token}`;
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -36,13 +66,24 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     await user.save();
 
     // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
+    const token = signAccessToken(user._id, session._id);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
+    // Issue a verification token and email the link
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    queueMail('welcome', user.email, { name: user.name });
+    queueMail('emailVerification', user.email, {
+      name: user.name,
+      link: verificationLink(req, verificationToken),
+      expiresInHours: EMAIL_VERIFICATION_EXPIRES_HOURS
+    });
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -52,10 +93,12 @@ router.post('/register', validateUserRegistration, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role,
-          avatar: user.avatar
+          avatar: user.avatar,
+          isEmailVerified: user.isEmailVerified
         },
         token,
-        refreshToken
+        refreshToken,
+        sessionId: session._id
       }
     });
   } catch (error) {
@@ -101,17 +144,19 @@ router.post('/login', validateUserLogin, async (req, res) => {
     }
 
     // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    const { session, refreshToken } = await createSession(user._id, getClientInfo(req));
+    const token = signAccessToken(user._id, session._id);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Get artisan profile if user is an artisan
+    // Get artisan profile and plan usage if user is an artisan
     let artisanProfile = null;
+    let plan = null;
     if (user.role === 'artisan') {
       artisanProfile = await Artisan.findOne({ user: user._id });
+      if (artisanProfile) plan = await getPlanUsage(artisanProfile);
     }
 
     res.json({
@@ -127,8 +172,10 @@ router.post('/login', validateUserLogin, async (req, res) => {
           isEmailVerified: user.isEmailVerified
         },
         artisan: artisanProfile,
+        plan,
         token,
-        refreshToken
+        refreshToken,
+        sessionId: session._id
       }
     });
   } catch (error) {
@@ -143,7 +190,7 @@ router.post('/login', validateUserLogin, async (req, res) => {
 // @route   POST /api/auth/artisan-register
 // @desc    Register as an artisan (requires existing user account)
 // @access  Private
-router.post('/artisan-register', authenticateToken, validateArtisanRegistration, async (req, res) => {
+router.post('/artisan-register', authenticateToken, requireVerifiedEmail('artisan'), validateArtisanRegistration, async (req, res) => {
   try {
     const userId = req.user._id;
     
@@ -167,6 +214,9 @@ router.post('/artisan-register', authenticateToken, validateArtisanRegistration,
       documents
     } = req.body;
 
+    // Proof documents must be files this user uploaded
+    await KycDocument.verifyReferences(documents, userId);
+
     // Create artisan profile
     const artisan = new Artisan({
       user: userId,
@@ -179,6 +229,7 @@ router.post('/artisan-register', authenticateToken, validateArtisanRegistration,
       socialMedia: socialMedia || {},
       documents
     });
+    artisan.recordVerification('submitted', { by: userId });
 
     await artisan.save();
 
@@ -198,6 +249,13 @@ router.post('/artisan-register', authenticateToken, validateArtisanRegistration,
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Artisan registration error:', error);
     res.status(500).json({
       success: false,
@@ -206,6 +264,113 @@ router.post('/artisan-register', authenticateToken, validateArtisanRegistration,
   }
 });
 
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address with the emailed token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  // Browsers following the emailed link are sent back to the account page
+  const fromBrowser = req.accepts(['json', 'html']) === 'html';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  try {
+    // Hash the token to compare with stored hash
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      if (fromBrowser) return res.redirect(`${frontendUrl}/account.html?emailVerified=0`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    if (fromBrowser) return res.redirect(`${frontendUrl}/account.html?emailVerified=1`);
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Throttle resends per account
+    const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const retryAfter = Math.ceil((sentAt + VERIFICATION_RESEND_SECONDS * 1000 - Date.now()) / 1000);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`
+      });
+    }
+
+    // A new token replaces any earlier one
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendMail('emailVerification', user.email, {
+        name: user.name,
+        link: verificationLink(req, verificationToken),
+        expiresInHours: EMAIL_VERIFICATION_EXPIRES_HOURS
+      });
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+
+      // Allow an immediate retry; the earlier token was already replaced
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      user.emailVerificationSentAt = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
 // @route   POST /api/auth/refresh-token
 // @desc    Refresh access token
 // @access  Public
@@ -220,38 +385,38 @@ router.post('/refresh-token', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
+    // Exchange the refresh token; a reused token revokes its session
+    const { session, refreshToken: newRefreshToken } = await rotateSession(refreshToken, getClientInfo(req));
 
     // Check if user exists
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(session.user);
     if (!user || !user.isActive) {
+      await revokeSession(newRefreshToken, session.user);
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token - user not found or inactive'
       });
     }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+    const newToken = signAccessToken(user._id, session._id);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
         token: newToken,
-        refreshToken: newRefreshToken
+        refreshToken: newRefreshToken,
+        sessionId: session._id
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Token refresh error:', error);
     res.status(401).json({
       success: false,
@@ -261,12 +426,25 @@ router.post('/refresh-token', async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user, revoking the session of the given refresh token
+//          or else the session of the access token used
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more sophisticated setup, you might want to blacklist the token
-    // For now, we'll just send a success response
+    const { refreshToken } = req.body;
+
+    // Revoking the session also refuses its outstanding access tokens
+    if (refreshToken) {
+      await revokeSession(refreshToken, req.user._id);
+    } else if (req.sessionId) {
+      await revokeSessionById(req.sessionId, req.user._id, 'logout');
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -280,6 +458,83 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List devices the user is signed in on
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const revoked = await revokeSessionById(req.params.id, req.user._id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -287,10 +542,12 @@ router.get('/me', authenticateToken, async (req, res) => {
   try {
     const user = req.user;
     
-    // Get artisan profile if user is an artisan
+    // Get artisan profile and plan usage if user is an artisan
     let artisanProfile = null;
+    let plan = null;
     if (user.role === 'artisan') {
       artisanProfile = await Artisan.findOne({ user: user._id });
+      if (artisanProfile) plan = await getPlanUsage(artisanProfile);
     }
 
     res.json({
@@ -309,7 +566,8 @@ router.get('/me', authenticateToken, async (req, res) => {
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         },
-        artisan: artisanProfile
+        artisan: artisanProfile,
+        plan
       }
     });
   } catch (error) {
@@ -328,25 +586,33 @@ router.post('/forgot-password', async (req, res) => {
   try {
     const { email } = req.body;
 
+    // Same response whether or not the account exists, so the endpoint
+    // can't be used to find out which emails are registered
+    const message = 'If an account exists for this email, a password reset link has been sent';
+
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User with this email does not exist'
-      });
+      return res.json({ success: true, message });
     }
 
     // Generate reset token
     const resetToken = user.createPasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
-    // TODO: Send email with reset token
-    // For now, we'll just return the token (remove this in production)
-    res.json({
-      success: true,
-      message: 'Password reset token sent to email',
-      resetToken // Remove this in production
-    });
+    // Sent in the background: waiting for delivery (or answering
+    // differently when it fails) would give away that the account exists
+    sendMail('passwordReset', user.email, { name: user.name, token: resetToken, expiresInMinutes: 10 })
+      .catch(async mailError => {
+        console.error('Send password reset email error:', mailError);
+
+        // Don't leave a live token behind that nobody received
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      })
+      .catch(error => console.error('Clear password reset token error:', error));
+
+    res.json({ success: true, message });
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({
@@ -359,7 +625,7 @@ router.post('/forgot-password', async (req, res) => {
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with token
 // @access  Public
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
   try {
     const { token, password } = req.body;
 
@@ -384,6 +650,9 @@ router.post('/reset-password', async (req, res) => {
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Sign out everywhere; whoever knew the old password may hold a session
+    await revokeAllSessions(user._id, 'password-reset');
+
     res.json({
       success: true,
       message: 'Password reset successful'
@@ -397,4 +666,46 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/password
+// @desc    Change password, signing out other devices
+// @access  Private
+router.put('/password', authenticateToken, validatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Keep only the session of the access token making the change; every
+    // other session, and with it its access tokens, is signed out
+    const revoked = await revokeAllSessions(user._id, 'password-change', req.sessionId);
+
+    queueMail('passwordChanged', user.email, { name: user.name, changedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: { revokedSessions: revoked }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const { authenticateToken } = require('../middleware/auth');
+const { validateApplyCoupon } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/cart/apply-coupon
+// @desc    Validate a coupon against the current cart and preview the discount
+// @access  Private
+router.post('/apply-coupon', authenticateToken, validateApplyCoupon, async (req, res) => {
+  try {
+    const code = req.body.code.toUpperCase();
+
+    const coupon = await Coupon.findOne({ code });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid coupon code'
+      });
+    }
+
+    const user = await User.findById(req.user._id).populate('cart.product');
+    const lines = user.cart
+      .filter(item => item.product && item.product.isActive)
+      .map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        unitPrice: item.product.discountedPrice
+      }));
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const { amount, eligibleSubtotal } = coupon.evaluate(req.user._id, lines);
+    const subtotal = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        coupon: {
+          code: coupon.code,
+          type: coupon.type,
+          value: coupon.value,
+          description: coupon.description
+        },
+        subtotal,
+        eligibleSubtotal,
+        discount: amount,
+        total: subtotal - amount
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while applying coupon'
+    });
+  }
+});
+
+module.exports = router;
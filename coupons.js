@@ -0,0 +1,172 @@
+const express = require('express');
+const Coupon = require('../models/Coupon');
+const Artisan = require('../models/Artisan');
+const { authenticateToken } = require('../middleware/auth');
+const { validateCouponCreation, validateCouponUpdate, validateObjectId, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Coupons are managed by artisans (for their own products) and admins
+const requireCouponManager = async (req, res, next) => {
+  if (req.user.role === 'admin') return next();
+
+  if (req.user.role === 'artisan') {
+    req.artisan = await Artisan.findOne({ user: req.user._id });
+    if (req.artisan) return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Artisan or admin role required.'
+  });
+};
+
+// @route   POST /api/coupons
+// @desc    Create a coupon (Artisan: own products only, Admin: any scope)
+// @access  Private/Artisan
+router.post('/', authenticateToken, requireCouponManager, validateCouponCreation, async (req, res) => {
+  try {
+    const {
+      code, description, type, value, maxDiscount, minOrderAmount,
+      usageLimit, perUserLimit, validFrom, validUntil, categories, artisan
+    } = req.body;
+
+    const existing = await Coupon.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    const coupon = new Coupon({
+      code,
+      description,
+      type,
+      value,
+      maxDiscount,
+      minOrderAmount,
+      usageLimit,
+      perUserLimit,
+      validFrom,
+      validUntil,
+      categories: categories || [],
+      // Artisan coupons are always scoped to the artisan's own products
+      artisan: req.artisan ? req.artisan._id : artisan,
+      createdBy: req.user._id
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon'
+    });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    List coupons (Artisan: own, Admin: all)
+// @access  Private/Artisan
+router.get('/', authenticateToken, requireCouponManager, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.artisan) filter.artisan = req.artisan._id;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCoupons = await Coupon.countDocuments(filter);
+    const totalPages = Math.ceil(totalCoupons / limit);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalCoupons,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons'
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update or deactivate a coupon
+// @access  Private/Artisan
+router.put('/:id', authenticateToken, requireCouponManager, validateObjectId('id'), validateCouponUpdate, async (req, res) => {
+  try {
+    const filter = { _id: req.params.id };
+    if (req.artisan) filter.artisan = req.artisan._id;
+
+    const coupon = await Coupon.findOne(filter);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found or access denied'
+      });
+    }
+
+    const allowedUpdates = [
+      'description', 'value', 'maxDiscount', 'minOrderAmount', 'usageLimit',
+      'perUserLimit', 'validFrom', 'validUntil', 'categories', 'isActive'
+    ];
+
+    const updates = {};
+    Object.keys(req.body).forEach(key => {
+      if (allowedUpdates.includes(key)) {
+        updates[key] = req.body[key];
+      }
+    });
+
+    Object.assign(coupon, updates);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    // Rules that depend on the stored coupon, e.g. a percentage above 100
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon'
+    });
+  }
+});
+
+module.exports = router;
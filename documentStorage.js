@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+
+// Private file storage for KYC documents, plus upload checks.
+// Every adapter implements the same interface:
+//   save({ buffer, ownerId, extension }) -> key
+//   open(key)                            -> { stream } or { url } (short-lived)
+//   remove(key)
+const LOCAL_STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'storage', 'documents');
+// How long signed Cloudinary download links stay valid
+const SIGNED_URL_TTL_SECONDS = 5 * 60;
+
+// Accepted file types. The leading bytes are checked as well as the
+// declared type, since the client controls the latter.
+const DOCUMENT_FILE_TYPES = {
+  'application/pdf': { extension: 'pdf', signature: '25504446' },
+  'image/jpeg': { extension: 'jpg', signature: 'ffd8ff' },
+  'image/png': { extension: 'png', signature: '89504e47' }
+};
+const MAX_DOCUMENT_SIZE_BYTES = (parseInt(process.env.MAX_DOCUMENT_SIZE_MB) || 5) * 1024 * 1024;
+
+const randomName = () => crypto.randomBytes(16).toString('hex');
+
+// Check an uploaded file (multer memory storage) and return its extension
+function validateDocumentFile(file) {
+  const fileType = file && DOCUMENT_FILE_TYPES[file.mimetype];
+  const matches = fileType && file.buffer.toString('hex', 0, fileType.signature.length / 2) === fileType.signature;
+  if (!matches) {
+    const error = new Error('Documents must be PDF, JPEG or PNG files');
+    error.statusCode = 400;
+    throw error;
+  }
+  return fileType.extension;
+}
+
+const configureCloudinary = () => cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Files on local disk, outside the public static directory
+const localStorage = {
+  name: 'local',
+
+  async save({ buffer, ownerId, extension }) {
+    const key = `${ownerId}/${randomName()}.${extension}`;
+    const filePath = path.join(LOCAL_STORAGE_DIR, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+    return key;
+  },
+
+  async open(key) {
+    const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+    // Keys are generated by save(), but never follow one out of the storage dir
+    if (!filePath.startsWith(path.resolve(LOCAL_STORAGE_DIR) + path.sep)) {
+      throw new Error('Invalid document key');
+    }
+    await fs.promises.access(filePath);
+    return { stream: fs.createReadStream(filePath) };
+  },
+
+  async remove(key) {
+    await fs.promises.rm(path.join(LOCAL_STORAGE_DIR, key), { force: true });
+  }
+};
+
+// Authenticated (non-public) Cloudinary assets served through signed, expiring links
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  save({ buffer, ownerId, extension }) {
+    configureCloudinary();
+    return new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream({
+        folder: `kyc/${ownerId}`,
+        public_id: randomName(),
+        type: 'authenticated',
+        resource_type: 'image', // covers PDFs as well as images
+        format: extension
+      }, (error, result) => (error ? reject(error) : resolve(`${result.public_id}.${result.format}`)));
+      upload.end(buffer);
+    });
+  },
+
+  async open(key) {
+    configureCloudinary();
+    const extension = path.extname(key);
+    const url = cloudinary.utils.private_download_url(key.slice(0, -extension.length), extension.slice(1), {
+      type: 'authenticated',
+      resource_type: 'image',
+      expires_at: Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS
+    });
+    return { url };
+  },
+
+  async remove(key) {
+    configureCloudinary();
+    const extension = path.extname(key);
+    await cloudinary.uploader.destroy(key.slice(0, -extension.length), { type: 'authenticated', resource_type: 'image' });
+  }
+};
+
+const adapters = {
+  local: localStorage,
+  cloudinary: cloudinaryStorage
+};
+
+// Resolve an adapter by name, falling back to DOCUMENT_STORAGE and then local disk
+function getDocumentStorage(name) {
+  const adapterName = name || process.env.DOCUMENT_STORAGE || 'local';
+  const adapter = adapters[adapterName];
+  if (!adapter) {
+    throw new Error(`Document storage "${adapterName}" is not configured`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  DOCUMENT_FILE_TYPES,
+  MAX_DOCUMENT_SIZE_BYTES,
+  validateDocumentFile,
+  getDocumentStorage
+};
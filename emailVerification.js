@@ -0,0 +1,26 @@
+// Gate actions behind a verified email address.
+// EMAIL_VERIFICATION_REQUIRED_FOR lists the gated actions, comma separated
+// (orders, artisan); set it to "none" to turn gating off.
+const GATED_ACTIONS = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || 'orders,artisan')
+  .split(',')
+  .map(action => action.trim())
+  .filter(action => action && action !== 'none');
+
+const isVerificationRequired = action => GATED_ACTIONS.includes(action);
+
+// Middleware factory; must run after authenticateToken
+const requireVerifiedEmail = action => (req, res, next) => {
+  if (!isVerificationRequired(action) || req.user.isEmailVerified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address first'
+  });
+};
+
+module.exports = {
+  isVerificationRequired,
+  requireVerifiedEmail
+};
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { getSupplyType } = require('./taxCalculator');
+
+const round = amount => Math.round(amount * 100) / 100;
+const formatAmount = amount => round(amount || 0).toFixed(2);
+
+const escapeHtml = value => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Indian financial year code, e.g. 2627 for April 2026 - March 2027
+function getFinancialYear(date = new Date()) {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${String(startYear).slice(-2)}${String(startYear + 1).slice(-2)}`;
+}
+
+// Get the artisan's invoice for an order, numbering it on first request.
+// Numbers run per artisan and financial year, e.g. 9F3A/2627/00042.
+async function assignInvoiceNumber(order, artisanId) {
+  const findExisting = invoices => invoices.find(invoice => invoice.artisan.toString() === artisanId.toString());
+
+  const existing = findExisting(order.invoices);
+  if (existing) return existing;
+
+  // Take the number and attach it in one transaction, so a request that
+  // loses a race rolls its counter increment back and the sequence stays
+  // free of gaps, as GST invoice series must
+  const financialYear = getFinancialYear();
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      const latest = await Order.findById(order._id).select('invoices').session(session);
+      invoice = findExisting(latest.invoices);
+      if (invoice) return;
+
+      const seq = await Counter.next(`invoice:${artisanId}:${financialYear}`, session);
+      invoice = {
+        artisan: artisanId,
+        number: `${artisanId.toString().slice(-4).toUpperCase()}/${financialYear}/${String(seq).padStart(5, '0')}`,
+        issuedAt: new Date()
+      };
+      await Order.updateOne({ _id: order._id }, { $push: { invoices: invoice } }, { session });
+    });
+    return invoice;
+  } finally {
+    session.endSession();
+  }
+}
+
+const formatAddress = address => [
+  address.street,
+  address.landmark,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country
+].filter(Boolean);
+
+// Build the invoice data for one artisan's line items.
+// Expects order.items.product and order.items.artisan to be populated.
+function buildInvoice(order, artisan, meta) {
+  // Older orders may carry a billing address while still flagged sameAsShipping
+  const billing = order.billingAddress && order.billingAddress.street
+    ? order.billingAddress
+    : order.shippingAddress;
+
+  const artisanItems = order.items
+    .filter(item => (item.artisan._id || item.artisan).toString() === artisan._id.toString());
+
+  // Cancelled lines and refunded units are not invoiced
+  const invoicedItems = artisanItems
+    .filter(item => item.status !== 'cancelled')
+    .map(item => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) }))
+    .filter(({ quantity }) => quantity > 0);
+
+  // Use the supply type recorded at checkout; orders placed before it was
+  // recorded fall back to the artisan's current location
+  const recorded = artisanItems.find(item => item.tax && item.tax.supplyType);
+  const supplyType = recorded
+    ? recorded.tax.supplyType
+    : getSupplyType(artisan.location, order.shippingAddress);
+
+  const lines = invoicedItems
+    .map(({ item, quantity }) => {
+      // Discount and tax were recorded for the whole line
+      const share = quantity / item.quantity;
+      const gross = item.price * quantity;
+      const discount = round((item.discount || 0) * share);
+      const taxAmount = item.tax && item.tax.amount ? round(item.tax.amount * share) : 0;
+      const isIntrastate = supplyType === 'intrastate';
+
+      return {
+        title: item.title || item.product.title || String(item.product._id || item.product),
+        quantity,
+        unitPrice: item.price,
+        discount,
+        taxableValue: round(gross - discount),
+        rate: item.tax && item.tax.rate !== undefined ? item.tax.rate : null,
+        cgst: isIntrastate ? round(taxAmount / 2) : 0,
+        sgst: isIntrastate ? round(taxAmount / 2) : 0,
+        igst: supplyType === 'interstate' ? taxAmount : 0,
+        total: round(gross - discount + taxAmount)
+      };
+    });
+
+  const sum = field => round(lines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    number: meta.number,
+    issuedAt: meta.issuedAt,
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    supplyType,
+    seller: {
+      name: artisan.businessName,
+      gstin: artisan.documents && artisan.documents.taxId,
+      address: [artisan.location.city, artisan.location.state, artisan.location.country].filter(Boolean).join(', ')
+    },
+    buyer: {
+      name: billing.name,
+      phone: billing.phone,
+      address: formatAddress(billing)
+    },
+    lines,
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      total: sum('total')
+    }
+  };
+}
+
+// Render invoices as a printable HTML page
+function renderInvoiceHtml(invoices) {
+  const sections = invoices.map(invoice => `
+  <section class="invoice">
+    <h1>Tax Invoice</h1>
+    <table class="meta">
+      <tr><td>Invoice No.</td><td>${escapeHtml(invoice.number)}</td></tr>
+      <tr><td>Invoice Date</td><td>${escapeHtml(new Date(invoice.issuedAt).toLocaleDateString('en-IN'))}</td></tr>
+      <tr><td>Order No.</td><td>${escapeHtml(invoice.orderNumber)}</td></tr>
+      <tr><td>Supply Type</td><td>${escapeHtml(invoice.supplyType)}</td></tr>
+    </table>
+    <div class="parties">
+      <div>
+        <h3>Sold By</h3>
+        <p>${escapeHtml(invoice.seller.name)}<br>${escapeHtml(invoice.seller.address)}<br>GSTIN: ${escapeHtml(invoice.seller.gstin || 'Unregistered')}</p>
+      </div>
+      <div>
+        <h3>Bill To</h3>
+        <p>${escapeHtml(invoice.buyer.name)}<br>${invoice.buyer.address.map(escapeHtml).join('<br>')}<br>${escapeHtml(invoice.buyer.phone)}</p>
+      </div>
+    </div>
+    <table class="items">
+      <thead>
+        <tr><th>Item</th><th>Qty</th><th>Unit Price</th><th>Discount</th><th>Taxable Value</th><th>GST %</th><th>CGST</th><th>SGST</th><th>IGST</th><th>Total</th></tr>
+      </thead>
+      <tbody>
+        ${invoice.lines.map(line => `<tr><td>${escapeHtml(line.title)}</td><td>${line.quantity}</td><td>${formatAmount(line.unitPrice)}</td><td>${formatAmount(line.discount)}</td><td>${formatAmount(line.taxableValue)}</td><td>${line.rate === null ? '-' : line.rate}</td><td>${formatAmount(line.cgst)}</td><td>${formatAmount(line.sgst)}</td><td>${formatAmount(line.igst)}</td><td>${formatAmount(line.total)}</td></tr>`).join('\n        ')}
+      </tbody>
+      <tfoot>
+        <tr><th colspan="4">Total (INR)</th><th>${formatAmount(invoice.totals.taxableValue)}</th><th></th><th>${formatAmount(invoice.totals.cgst)}</th><th>${formatAmount(invoice.totals.sgst)}</th><th>${formatAmount(invoice.totals.igst)}</th><th>${formatAmount(invoice.totals.total)}</th></tr>
+      </tfoot>
+    </table>
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Invoice - LocalLense</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1f2937; margin: 24px; }
+    .invoice { page-break-after: always; margin-bottom: 48px; }
+    .parties { display: flex; gap: 48px; }
+    table { border-collapse: collapse; }
+    .items { width: 100%; margin-top: 16px; }
+    .items th, .items td { border: 1px solid #e5e7eb; padding: 6px; text-align: right; }
+    .items th:first-child, .items td:first-child { text-align: left; }
+    .meta td { padding: 2px 12px 2px 0; }
+  </style>
+</head>
+<body>
+${sections}
+</body>
+</html>`;
+}
+
+// Render invoices as a PDF document, one page per invoice.
+// The caller pipes the returned document and must call end() on it.
+function renderInvoicePdf(invoices) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const columns = [
+    { key: 'title', label: 'Item', width: 150 },
+    { key: 'quantity', label: 'Qty', width: 30 },
+    { key: 'unitPrice', label: 'Price', width: 55 },
+    { key: 'taxableValue', label: 'Taxable', width: 60 },
+    { key: 'rate', label: 'GST %', width: 35 },
+    { key: 'cgst', label: 'CGST', width: 45 },
+    { key: 'sgst', label: 'SGST', width: 45 },
+    { key: 'igst', label: 'IGST', width: 45 },
+    { key: 'total', label: 'Total', width: 50 }
+  ];
+
+  const drawRow = (values, y, bold) => {
+    let x = doc.page.margins.left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    columns.forEach(column => {
+      doc.text(values[column.key], x, y, { width: column.width - 4, align: column.key === 'title' ? 'left' : 'right' });
+      x += column.width;
+    });
+    return doc.y + 4;
+  };
+
+  invoices.forEach((invoice, index) => {
+    if (index > 0) doc.addPage();
+
+    doc.font('Helvetica-Bold').fontSize(16).text('Tax Invoice');
+    doc.moveDown(0.5).font('Helvetica').fontSize(9)
+      .text(`Invoice No.: ${invoice.number}`)
+      .text(`Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN')}`)
+      .text(`Order No.: ${invoice.orderNumber}`)
+      .text(`Supply Type: ${invoice.supplyType}`);
+
+    doc.moveDown().font('Helvetica-Bold').text('Sold By');
+    doc.font('Helvetica')
+      .text(invoice.seller.name)
+      .text(invoice.seller.address)
+      .text(`GSTIN: ${invoice.seller.gstin || 'Unregistered'}`);
+
+    doc.moveDown().font('Helvetica-Bold').text('Bill To');
+    doc.font('Helvetica').text(invoice.buyer.name);
+    invoice.buyer.address.forEach(line => doc.text(line));
+    if (invoice.buyer.phone) doc.text(invoice.buyer.phone);
+
+    doc.moveDown();
+    let y = drawRow(Object.fromEntries(columns.map(column => [column.key, column.label])), doc.y, true);
+    invoice.lines.forEach(line => {
+      y = drawRow({
+        ...line,
+        quantity: String(line.quantity),
+        unitPrice: formatAmount(line.unitPrice),
+        taxableValue: formatAmount(line.taxableValue),
+        rate: line.rate === null ? '-' : String(line.rate),
+        cgst: formatAmount(line.cgst),
+        sgst: formatAmount(line.sgst),
+        igst: formatAmount(line.igst),
+        total: formatAmount(line.total)
+      }, y);
+    });
+    drawRow({
+      title: 'Total (INR)',
+      quantity: '',
+      unitPrice: '',
+      taxableValue: formatAmount(invoice.totals.taxableValue),
+      rate: '',
+      cgst: formatAmount(invoice.totals.cgst),
+      sgst: formatAmount(invoice.totals.sgst),
+      igst: formatAmount(invoice.totals.igst),
+      total: formatAmount(invoice.totals.total)
+    }, y, true);
+  });
+
+  return doc;
+}
+
+module.exports = {
+  getFinancialYear,
+  assignInvoiceNumber,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,110 @@
+// Email templates. Each template takes its data and returns
+// { subject, text, html }; html is wrapped in a shared layout.
+const APP_NAME = 'LocalLense';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = value => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = amount => `INR ${(Math.round((amount || 0) * 100) / 100).toFixed(2)}`;
+
+const layout = body => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${APP_NAME}</title></head>
+<body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto; padding: 24px;">
+  <h2 style="color: #b45309;">${APP_NAME}</h2>
+  ${body}
+  <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">You are receiving this email because of your ${APP_NAME} account.</p>
+</body>
+</html>`;
+
+const button = (href, label) => `<p><a href="${escapeHtml(href)}" style="background: #b45309; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+const templates = {
+  passwordReset: ({ name, token, expiresInMinutes }) => {
+    const link = `${FRONTEND_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+    return {
+      subject: `Reset your ${APP_NAME} password`,
+      text: `Hi ${name},\n\nUse this link to reset your password. It expires in ${expiresInMinutes} minutes.\n\n${link}\n\nIf you did not ask for a reset, you can ignore this email.`,
+      html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Use the button below to reset your password. The link expires in ${escapeHtml(expiresInMinutes)} minutes.</p>
+  ${button(link, 'Reset password')}
+  <p>If you did not ask for a reset, you can ignore this email.</p>`)
+    };
+  },
+
+  welcome: ({ name }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    text: `Hi ${name},\n\nThanks for joining ${APP_NAME}. Discover handmade pieces from local artisans at ${FRONTEND_URL}.`,
+    html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Thanks for joining ${APP_NAME}. Discover handmade pieces from local artisans near you.</p>
+  ${button(FRONTEND_URL, 'Start exploring')}`)
+  }),
+
+  emailVerification: ({ name, link, expiresInHours }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    text: `Hi ${name},\n\nPlease confirm your email address. The link expires in ${expiresInHours} hours.\n\n${link}`,
+    html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Please confirm your email address. The link expires in ${escapeHtml(expiresInHours)} hours.</p>
+  ${button(link, 'Verify email')}`)
+  }),
+
+  passwordChanged: ({ name, changedAt }) => {
+    const when = new Date(changedAt).toUTCString();
+    const link = `${FRONTEND_URL}/signin.html`;
+    return {
+      subject: `Your ${APP_NAME} password was changed`,
+      text: `Hi ${name},\n\nThe password for your account was changed on ${when}. Other devices have been signed out.\n\nIf you did not make this change, reset your password right away: ${link}`,
+      html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>The password for your account was changed on ${escapeHtml(when)}. Other devices have been signed out.</p>
+  <p>If you did not make this change, reset your password right away.</p>
+  ${button(link, 'Sign in')}`)
+    };
+  },
+
+  orderConfirmation: ({ name, order }) => {
+    const lines = order.items.map(item => ({
+      title: item.title || (item.product && item.product.title) || 'Item',
+      quantity: item.quantity,
+      total: item.price * item.quantity
+    }));
+    return {
+      subject: `Order ${order.orderNumber} confirmed`,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Thanks for your order ${order.orderNumber}.`,
+        '',
+        ...lines.map(line => `${line.quantity} x ${line.title}: ${formatAmount(line.total)}`),
+        '',
+        `Total: ${formatAmount(order.pricing.totalAmount)}`
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(name)},</p>
+  <p>Thanks for your order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+  <table style="width: 100%; border-collapse: collapse;">
+    ${lines.map(line => `<tr><td>${escapeHtml(line.quantity)} x ${escapeHtml(line.title)}</td><td style="text-align: right;">${formatAmount(line.total)}</td></tr>`).join('\n    ')}
+    <tr><th style="text-align: left;">Total</th><th style="text-align: right;">${formatAmount(order.pricing.totalAmount)}</th></tr>
+  </table>`)
+    };
+  }
+};
+
+// Render a named template
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate
+};
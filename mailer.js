@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderTemplate } = require('./mailTemplates');
+
+// Mail transports.
+// Every transport implements the same interface:
+//   send({ from, to, subject, text, html }) -> { messageId }
+const MAIL_FROM = process.env.EMAIL_FROM || `LocalLense <${process.env.EMAIL_USER || 'no-reply@locallense.local'}>`;
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'storage', 'outbox');
+// Attempts per message, with exponential backoff between them
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.MAIL_RETRY_DELAY_MS) || 500;
+
+let smtpTransporter = null;
+
+const smtpTransport = {
+  name: 'smtp',
+
+  async send(message) {
+    if (!smtpTransporter) {
+      const port = parseInt(process.env.EMAIL_PORT) || 587;
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+      });
+    }
+    const info = await smtpTransporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+};
+
+// Kept in memory for tests and local development (most recent messages only)
+const outbox = [];
+const OUTBOX_LIMIT = 100;
+
+const memoryTransport = {
+  name: 'memory',
+
+  async send(message) {
+    const messageId = `memory-${Date.now()}-${outbox.length + 1}`;
+    outbox.push({ ...message, messageId, sentAt: new Date() });
+    if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+    return { messageId };
+  }
+};
+
+// One JSON file per message, so local emails can be opened and their links followed
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(OUTBOX_DIR, `${messageId}.json`),
+      JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  }
+};
+
+const transports = {
+  smtp: smtpTransport,
+  memory: memoryTransport,
+  file: fileTransport
+};
+
+function registerMailTransport(transport) {
+  transports[transport.name] = transport;
+}
+
+// Resolve a transport by name, falling back to MAIL_TRANSPORT, then SMTP
+// when a host is configured, then the in-memory outbox
+function getMailTransport(name) {
+  const transportName = name || process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'memory');
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Mail transport "${transportName}" is not registered`);
+  }
+  return transport;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Render a template and send it, retrying failed attempts.
+// Throws the last error once every attempt has failed.
+async function sendMail(template, to, data) {
+  const message = { from: MAIL_FROM, to, ...renderTemplate(template, data) };
+  const transport = getMailTransport();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await transport.send(message);
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) throw error;
+      console.error(`Send ${template} email attempt ${attempt} failed:`, error.message);
+      await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Send without making the caller wait; failures are logged
+function queueMail(template, to, data) {
+  sendMail(template, to, data).catch(error => {
+    console.error(`Send ${template} email error:`, error);
+  });
+}
+
+// Messages captured by the memory transport
+const getOutbox = () => outbox;
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail,
+  queueMail,
+  getOutbox,
+  clearOutbox
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Offline payment provider for development and tests.
+// Intents live in memory and webhooks are signed with a shared secret,
+// so the full payment flow can be exercised without a real gateway.
+// Webhooks are rejected until PAYMENT_WEBHOOK_SECRET is set.
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+
+const intents = new Map();
+
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Sign a webhook payload the same way a real gateway would
+function signPayload(payload) {
+  if (!WEBHOOK_SECRET) throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+}
+
+function buildEvent(type, data) {
+  return {
+    id: generateId('evt'),
+    type,
+    createdAt: new Date().toISOString(),
+    data
+  };
+}
+
+module.exports = {
+  name: 'mock',
+
+  async createIntent({ amount, currency = 'INR', orderId, metadata = {} }) {
+    const intent = {
+      id: generateId('pi'),
+      amount,
+      currency,
+      orderId: orderId && orderId.toString(),
+      metadata,
+      status: 'requires_confirmation',
+      clientSecret: generateId('secret'),
+      refunded: 0
+    };
+    intents.set(intent.id, intent);
+    return { ...intent };
+  },
+
+  // Confirm an intent; pass { fail: true } to simulate a declined payment
+  async confirm(intentId, { fail = false } = {}) {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`Unknown payment intent ${intentId}`);
+
+    intent.status = fail ? 'failed' : 'succeeded';
+
+    return {
+      status: intent.status,
+      event: buildEvent(fail ? 'payment.failed' : 'payment.succeeded', {
+        intentId: intent.id,
+        orderId: intent.orderId,
+        amount: intent.amount,
+        currency: intent.currency
+      })
+    };
+  },
+
+  async refund(intentId, amount, reason) {
+    const intent = intents.get(intentId);
+    if (!intent) throw new Error(`Unknown payment intent ${intentId}`);
+    if (intent.status !== 'succeeded') throw new Error('Only succeeded payments can be refunded');
+    if (intent.refunded + amount > intent.amount) throw new Error('Refund exceeds captured amount');
+
+    intent.refunded += amount;
+    const refundId = generateId('re');
+
+    return {
+      id: refundId,
+      status: 'succeeded',
+      event: buildEvent('refund.succeeded', {
+        intentId: intent.id,
+        orderId: intent.orderId,
+        refundId,
+        amount,
+        reason
+      })
+    };
+  },
+
+  // Returns the parsed event, or null if the signature does not match
+  verifyWebhookSignature(rawBody, signature) {
+    if (!WEBHOOK_SECRET || !rawBody || !signature) return null;
+
+    const expected = Buffer.from(signPayload(rawBody.toString()));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    return JSON.parse(rawBody.toString());
+  },
+
+  signPayload
+};
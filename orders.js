@@ -1,88 +1,304 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Artisan = require('../models/Artisan');
+const Reservation = require('../models/Reservation');
+const Coupon = require('../models/Coupon');
+const { initiateRefund } = require('../services/refundService');
+const { syncOrderLedger } = require('../services/payoutService');
+const { queueMail } = require('../services/mailer');
+const { getReturnWindowDays } = require('../services/returnPolicy');
+const { calculateShipping } = require('../services/shippingCalculator');
+const { calculateTax } = require('../services/taxCalculator');
+const { assignInvoiceNumber, buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../services/invoiceService');
+const { parseTrackingCsv } = require('../services/trackingCsv');
 const { authenticateToken, requireArtisan } = require('../middleware/auth');
-const { validateOrderCreation, validateObjectId, validatePagination } = require('../middleware/validation');
+const { requireVerifiedEmail } = require('../middleware/emailVerification');
+const {
+  validateOrderCreation,
+  validateItemStatusUpdate,
+  validateArtisanInboxQuery,
+  validateBulkConfirm,
+  validateBulkShip,
+  validateReturnRequest,
+  validateObjectId,
+  validatePagination
+} = require('../middleware/validation');
 
 const router = express.Router();
 
+// Build an error carrying an HTTP status so it can abort a transaction
+// and still be reported to the client as a normal failure response
+const createOrderError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Resolve the Artisan profile id (as a string) for a user, if any.
+// Order items reference Artisan documents, not users.
+async function findArtisanId(user) {
+  if (user.role !== 'artisan') return null;
+  const artisan = await Artisan.findOne({ user: user._id }).select('_id');
+  return artisan ? artisan._id.toString() : null;
+}
+
+// Read the id of a line item's artisan whether or not it is populated
+const itemArtisanId = item => (item.artisan._id || item.artisan).toString();
+
+// Give a cancelled line item's stock back
+function restockItem(item) {
+  return Product.updateOne(
+    { _id: item.product, 'inventory.trackInventory': true },
+    { $inc: { 'inventory.quantity': item.quantity, 'stats.totalSold': -item.quantity } }
+  );
+}
+
+// Apply a status and/or tracking change to one line item and log it on the
+// order timeline. Callers check ownership and allowed transitions first.
+async function applyItemUpdate(order, item, { status, tracking, note }, userId) {
+  if (status) {
+    if (status === 'cancelled' && item.status !== 'cancelled') {
+      await restockItem(item);
+    }
+
+    item.status = status;
+    if (status === 'delivered' && !item.tracking.actualDelivery) {
+      item.tracking.actualDelivery = new Date();
+    }
+  }
+
+  if (tracking) {
+    ['carrier', 'trackingNumber', 'estimatedDelivery'].forEach(field => {
+      if (tracking[field] !== undefined) item.tracking[field] = tracking[field];
+    });
+  }
+
+  order.timeline.push({
+    status: order.status,
+    timestamp: new Date(),
+    note: note || `Item ${item._id} marked ${item.status}${item.tracking.trackingNumber ? ` (tracking ${item.tracking.trackingNumber})` : ''}`,
+    updatedBy: userId
+  });
+}
+
+// Keep the artisan payout ledger in step with deliveries and returns.
+// The order change stands if this fails; the next sync fills the gap.
+async function syncLedger(order) {
+  try {
+    await syncOrderLedger(order);
+  } catch (error) {
+    console.error('Ledger sync error:', error);
+  }
+}
+
+// Cancel a whole order: restock the lines still open, release the coupon
+// and refund a paid order. Callers check permissions and that the order
+// can still be cancelled.
+async function cancelOrder(order, { reason, userId }) {
+  const isPaid = order.payment.status === 'completed';
+  // Lines cancelled earlier were restocked at the time
+  const itemsToRestock = order.items.filter(item => item.status !== 'cancelled');
+
+  order.transitionTo('cancelled', {
+    updatedBy: userId,
+    note: reason ? `Order cancelled: ${reason}` : 'Order cancelled'
+  });
+  order.applyStatusToItems('cancelled');
+  order.cancellation = {
+    reason,
+    cancelledBy: userId,
+    cancelledAt: new Date(),
+    refundStatus: isPaid ? 'pending' : undefined
+  };
+
+  // Let the customer use the coupon again
+  if (order.pricing.discount && order.pricing.discount.code) {
+    await Coupon.releaseRedemption(order._id);
+  }
+
+  // Restore product inventory
+  for (const item of itemsToRestock) {
+    await restockItem(item);
+  }
+
+  await order.save();
+
+  // Paid orders are refunded automatically on cancellation
+  if (isPaid) {
+    try {
+      await initiateRefund(order, {
+        reason: reason || 'Order cancelled',
+        initiatedBy: userId,
+        automatic: true
+      });
+    } catch (refundError) {
+      // The cancellation stands; an admin can retry the refund from the ledger
+      console.error('Automatic refund error:', refundError);
+    }
+  }
+
+  return order;
+}
+
+// Roll the item statuses up into the overall order status; the roll-up
+// only ever moves forward, stepping through any statuses in between
+function rollUpItemStatus(order, userId) {
+  order.advanceTo(order.deriveStatusFromItems(), { updatedBy: userId });
+  if (order.status === 'delivered' && !order.actualDelivery) {
+    order.actualDelivery = new Date();
+  }
+}
+
 // @route   POST /api/orders
 // @desc    Create new order
 // @access  Private
-router.post('/', authenticateToken, validateOrderCreation, async (req, res) => {
+router.post('/', authenticateToken, requireVerifiedEmail('orders'), validateOrderCreation, async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
-    const { items, shippingAddress, billingAddress, payment } = req.body;
+    const { items, shippingAddress, billingAddress, payment, couponCode } = req.body;
     const customerId = req.user._id;
+    let order;
 
-    // Validate and calculate order totals
-    let subtotal = 0;
-    const orderItems = [];
+    // Reserve stock and write the order atomically: either every line item
+    // is decremented and the order exists, or nothing changes
+    await session.withTransaction(async () => {
+      // Validate and calculate order totals
+      let subtotal = 0;
+      const orderItems = [];
+      const pricedLines = [];
+      const orderId = new mongoose.Types.ObjectId();
 
-    for (const item of items) {
-      const product = await Product.findById(item.product).populate('artisan');
-      
-      if (!product || !product.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${item.product} not found or inactive`
+      for (const item of items) {
+        const product = await Product.findById(item.product).session(session);
+
+        if (!product || !product.isActive) {
+          throw createOrderError(400, `Product ${item.product} not found or inactive`);
+        }
+
+        // Stock held for this customer at checkout start counts towards availability
+        const reservation = await Reservation.findActive(customerId, product._id, session);
+        const convertedQuantity = reservation
+          ? await Reservation.convert(reservation, orderId, session)
+          : 0;
+        const heldQuantity = Math.min(convertedQuantity, item.quantity);
+
+        if (!product.isAvailable(item.quantity, heldQuantity)) {
+          throw createOrderError(400, `Insufficient stock for ${product.title}`);
+        }
+
+        const itemPrice = product.discountedPrice;
+        const itemTotal = itemPrice * item.quantity;
+        subtotal += itemTotal;
+
+        orderItems.push({
+          product: product._id,
+          artisan: product.artisan,
+          title: product.title,
+          quantity: item.quantity,
+          price: itemPrice,
+          customization: item.customization || {}
         });
+        pricedLines.push({ product, quantity: item.quantity, unitPrice: itemPrice });
+
+        // Conditionally decrement inventory so concurrent checkouts cannot oversell;
+        // the held portion moves out of the reserved count, the rest must be unreserved
+        if (product.inventory.trackInventory) {
+          const result = await Product.updateOne(
+            {
+              _id: product._id,
+              $expr: {
+                $gte: [
+                  { $subtract: ['$inventory.quantity', { $ifNull: ['$inventory.reserved', 0] }] },
+                  item.quantity - heldQuantity
+                ]
+              }
+            },
+            // A pipeline update so the reserved count is floored at zero
+            [{
+              $set: {
+                'inventory.quantity': { $subtract: ['$inventory.quantity', item.quantity] },
+                'inventory.reserved': {
+                  $max: [0, { $subtract: [{ $ifNull: ['$inventory.reserved', 0] }, convertedQuantity] }]
+                },
+                'stats.totalSold': { $add: [{ $ifNull: ['$stats.totalSold', 0] }, item.quantity] }
+              }
+            }],
+            { session }
+          );
+
+          if (result.modifiedCount === 0) {
+            throw createOrderError(400, `Insufficient stock for ${product.title}`);
+          }
+        }
       }
 
-      if (!product.isAvailable(item.quantity)) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.title}`
+      // Apply coupon discount, spread over the lines it covers
+      const discount = { amount: 0 };
+      if (couponCode) {
+        const coupon = await Coupon.findOne({ code: couponCode.trim().toUpperCase() }).session(session);
+        if (!coupon) {
+          throw createOrderError(400, 'Invalid coupon code');
+        }
+
+        const result = coupon.evaluate(customerId, pricedLines);
+        result.lineDiscounts.forEach((lineDiscount, index) => {
+          orderItems[index].discount = lineDiscount;
+          pricedLines[index].taxableValue = pricedLines[index].unitPrice * pricedLines[index].quantity - lineDiscount;
         });
+
+        discount.amount = result.amount;
+        discount.code = coupon.code;
+        discount.type = coupon.type;
+
+        await Coupon.redeem(coupon, { user: customerId, order: orderId, amount: result.amount }, session);
       }
 
-      const itemPrice = product.discountedPrice;
-      const itemTotal = itemPrice * item.quantity;
-      subtotal += itemTotal;
+      // Calculate shipping and tax
+      const shippingQuote = await calculateShipping(pricedLines, shippingAddress, { session });
+      const shippingCost = shippingQuote.total;
+      const taxResult = await calculateTax(pricedLines, shippingAddress, { session });
+      const tax = taxResult.total;
+      const totalAmount = subtotal - discount.amount + shippingCost + tax;
 
-      orderItems.push({
-        product: product._id,
-        artisan: product.artisan._id,
-        quantity: item.quantity,
-        price: itemPrice,
-        customization: item.customization || {}
+      taxResult.lines.forEach((line, index) => {
+        orderItems[index].tax = { rate: line.rate, amount: line.amount, supplyType: line.supplyType };
       });
 
-      // Update product inventory
-      if (product.inventory.trackInventory) {
-        product.inventory.quantity -= item.quantity;
-        product.stats.totalSold += item.quantity;
-        await product.save();
-      }
-    }
-
-    // Calculate shipping and tax
-    const shippingCost = 0; // Calculate based on items and location
-    const tax = subtotal * 0.18; // 18% GST
-    const totalAmount = subtotal + shippingCost + tax;
-
-    // Create order
-    const order = new Order({
-      customer: customerId,
-      items: orderItems,
-      shippingAddress,
-      billingAddress: billingAddress || { ...shippingAddress, sameAsShipping: true },
-      pricing: {
-        subtotal,
-        shippingCost,
-        tax,
-        totalAmount
-      },
-      payment: {
-        method: payment.method,
-        status: payment.method === 'cod' ? 'pending' : 'processing'
-      }
-    });
+      // Create order
+      order = new Order({
+        _id: orderId,
+        customer: customerId,
+        items: orderItems,
+        shippingAddress,
+        // A billing address sent by the client is used unless it says otherwise
+        billingAddress: billingAddress
+          ? { ...billingAddress, sameAsShipping: billingAddress.sameAsShipping === true }
+          : { ...shippingAddress, sameAsShipping: true },
+        pricing: {
+          subtotal,
+          shippingCost,
+          tax,
+          taxBreakdown: taxResult.breakdown,
+          discount,
+          totalAmount
+        },
+        payment: {
+          method: payment.method,
+          status: payment.method === 'cod' ? 'pending' : 'processing'
+        },
+        estimatedDelivery: shippingQuote.estimatedDelivery
+      });
 
-    await order.save();
+      await order.save({ session });
 
-    // Clear user's cart
-    await User.findByIdAndUpdate(customerId, { cart: [] });
+      // Clear user's cart
+      await User.findByIdAndUpdate(customerId, { cart: [] }, { session });
+    });
 
     // Populate order for response
     await order.populate([
@@ -90,17 +306,340 @@ router.post('/', authenticateToken, validateOrderCreation, async (req, res) => {
       { path: 'items.artisan', select: 'businessName location' }
     ]);
 
+    queueMail('orderConfirmation', req.user.email, { name: req.user.name, order });
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
       data: { order }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while creating order'
     });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @route   GET /api/orders/by-number/:orderNumber
+// @desc    Look up an order by its order number (Admin/support, or the owning customer)
+// @access  Private
+router.get('/by-number/:orderNumber', authenticateToken, async (req, res) => {
+  try {
+    const orderNumber = Order.normalizeOrderNumber(req.params.orderNumber);
+    if (!orderNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order number. Please check it for typos.'
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber })
+      .populate('items.product', 'title images category')
+      .populate('items.artisan', 'businessName location')
+      .populate('customer', 'name email phone');
+
+    const isCustomer = order && order.customer._id.toString() === req.user._id.toString();
+    if (!order || (!isCustomer && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Get order by number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching order'
+    });
+  }
+});
+
+// Line items carrying buyer customization (options or instructions)
+const hasCustomization = item => !!item.customization && (
+  (item.customization.options || []).length > 0 || !!item.customization.instructions
+);
+
+// @route   GET /api/orders/artisan
+// @desc    Artisan order inbox: orders containing the artisan's line items,
+//          filtered by item status, date and customization (?status=&from=&to=&customized=)
+// @access  Private/Artisan
+router.get('/artisan', authenticateToken, requireArtisan, validatePagination, validateArtisanInboxQuery, async (req, res) => {
+  try {
+    const artisanId = await findArtisanId(req.user);
+    if (!artisanId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { from, to, customized } = req.query;
+    const statuses = req.query.status ? req.query.status.split(',') : null;
+
+    // Only orders with at least one of the artisan's items matching the filters
+    const itemFilter = { artisan: artisanId };
+    if (statuses) itemFilter.status = { $in: statuses };
+    if (customized !== undefined) {
+      const customizationConditions = [
+        { 'customization.options.0': { $exists: true } },
+        { 'customization.instructions': { $nin: [null, ''] } }
+      ];
+      itemFilter[customized === 'true' ? '$or' : '$nor'] = customizationConditions;
+    }
+
+    const filter = { items: { $elemMatch: itemFilter } };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const orders = await Order.find(filter)
+      .populate('customer', 'name')
+      .populate('items.product', 'title images')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalOrders = await Order.countDocuments(filter);
+    const totalPages = Math.ceil(totalOrders / limit);
+
+    // Show the artisan their own matching lines only, never other sellers' items or totals
+    const inbox = orders.map(order => {
+      const items = order.items.filter(item => itemArtisanId(item) === artisanId
+        && (!statuses || statuses.includes(item.status))
+        && (customized === undefined || hasCustomization(item) === (customized === 'true')));
+
+      return {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        createdAt: order.createdAt,
+        customer: order.customer,
+        shippingAddress: order.shippingAddress,
+        notes: order.notes && order.notes.customer,
+        items,
+        subtotal: items.reduce((total, item) => total + item.price * item.quantity, 0)
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        orders: inbox,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalOrders,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get artisan inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching orders'
+    });
+  }
+});
+
+// Move the artisan's own line items on one order to a status.
+// Returns the number of items updated; throws when none can move.
+async function updateArtisanItems(order, artisanId, { status, tracking }, userId) {
+  if (['cancelled', 'returned'].includes(order.status)) {
+    throw createOrderError(400, `Order is ${order.status}`);
+  }
+
+  const items = order.items.filter(item => itemArtisanId(item) === artisanId
+    && item.status !== status
+    && order.canTransitionItem(item, status));
+  if (items.length === 0) {
+    throw createOrderError(400, `No items can be marked ${status}`);
+  }
+
+  for (const item of items) {
+    await applyItemUpdate(order, item, { status, tracking }, userId);
+  }
+  rollUpItemStatus(order, userId);
+  await order.save();
+
+  return items.length;
+}
+
+// Summarise per-order bulk results for the response
+const bulkResponse = (res, results) => {
+  const updated = results.filter(result => result.success).length;
+  res.json({
+    success: updated > 0,
+    message: `${updated} of ${results.length} orders updated`,
+    data: { results }
+  });
+};
+
+// @route   POST /api/orders/artisan/bulk/confirm
+// @desc    Confirm the artisan's pending items on several orders
+// @access  Private/Artisan
+router.post('/artisan/bulk/confirm', authenticateToken, requireArtisan, validateBulkConfirm, async (req, res) => {
+  try {
+    const artisanId = await findArtisanId(req.user);
+    if (!artisanId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const results = [];
+    for (const orderId of [...new Set(req.body.orderIds)]) {
+      const order = await Order.findOne({ _id: orderId, 'items.artisan': artisanId });
+      if (!order) {
+        results.push({ orderId, success: false, message: 'Order not found' });
+        continue;
+      }
+
+      try {
+        const updatedItems = await updateArtisanItems(order, artisanId, { status: 'confirmed' }, req.user._id);
+        results.push({ orderId, orderNumber: order.orderNumber, success: true, updatedItems });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        results.push({ orderId, orderNumber: order.orderNumber, success: false, message: error.message });
+      }
+    }
+
+    bulkResponse(res, results);
+  } catch (error) {
+    console.error('Bulk confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming orders'
+    });
+  }
+});
+
+// Tracking CSVs are small and parsed in memory
+const TRACKING_CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+const trackingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!TRACKING_CSV_TYPES.includes(file.mimetype) || !/\.csv$/i.test(file.originalname)) {
+      const error = new Error('Tracking file must be a .csv file');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+const uploadTrackingCsv = (req, res, next) => trackingUpload(req, res, error => {
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Tracking file must be under 1MB' : error.message
+    });
+  }
+  next();
+});
+
+// @route   POST /api/orders/artisan/bulk/ship
+// @desc    Mark the artisan's items shipped on several orders with tracking.
+//          Send JSON { shipments: [{ orderNumber|orderId, carrier, trackingNumber, estimatedDelivery }] }
+//          or a multipart CSV upload in field "file" with the same columns.
+// @access  Private/Artisan
+router.post('/artisan/bulk/ship', authenticateToken, requireArtisan, uploadTrackingCsv, validateBulkShip, async (req, res) => {
+  try {
+    const artisanId = await findArtisanId(req.user);
+    if (!artisanId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+
+    const shipments = req.file ? parseTrackingCsv(req.file.buffer.toString('utf8')) : req.body.shipments;
+    if (!shipments || shipments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide shipments or a tracking CSV file'
+      });
+    }
+
+    const results = [];
+    for (const [index, shipment] of shipments.entries()) {
+      const { orderId, carrier, trackingNumber, estimatedDelivery } = shipment;
+      const reference = { row: index + 1, orderId, orderNumber: shipment.orderNumber };
+
+      const orderNumber = shipment.orderNumber && Order.normalizeOrderNumber(shipment.orderNumber);
+      if (!trackingNumber || !(orderNumber || mongoose.Types.ObjectId.isValid(orderId))) {
+        results.push({ ...reference, success: false, message: 'An order reference and tracking number are required' });
+        continue;
+      }
+      if (estimatedDelivery && isNaN(new Date(estimatedDelivery))) {
+        results.push({ ...reference, success: false, message: 'Estimated delivery must be a valid date' });
+        continue;
+      }
+
+      const order = await Order.findOne({
+        ...(orderNumber ? { orderNumber } : { _id: orderId }),
+        'items.artisan': artisanId
+      });
+      if (!order) {
+        results.push({ ...reference, success: false, message: 'Order not found' });
+        continue;
+      }
+
+      reference.orderId = order._id;
+      reference.orderNumber = order.orderNumber;
+
+      try {
+        const updatedItems = await updateArtisanItems(order, artisanId, {
+          status: 'shipped',
+          tracking: { carrier, trackingNumber, estimatedDelivery }
+        }, req.user._id);
+        results.push({ ...reference, success: true, updatedItems });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        results.push({ ...reference, success: false, message: error.message });
+      }
+    }
+
+    bulkResponse(res, results);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Bulk ship error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while shipping orders'
+    });
   }
 });
 
@@ -123,9 +662,8 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
 
     // Check if user has access to this order
     const isCustomer = order.customer._id.toString() === req.user._id.toString();
-    const isArtisan = order.items.some(item => 
-      item.artisan._id.toString() === req.user._id.toString()
-    );
+    const artisanId = await findArtisanId(req.user);
+    const isArtisan = !!artisanId && order.items.some(item => itemArtisanId(item) === artisanId);
     const isAdmin = req.user.role === 'admin';
 
     if (!isCustomer && !isArtisan && !isAdmin) {
@@ -148,6 +686,86 @@ router.get('/:id', authenticateToken, validateObjectId('id'), async (req, res) =
   }
 });
 
+// @route   GET /api/orders/:id/invoice
+// @desc    Get per-artisan tax invoices for an order as HTML (default) or PDF (?format=pdf)
+// @access  Private
+router.get('/:id/invoice', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'title')
+      .populate('items.artisan', 'businessName location documents.taxId');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (['pending', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoices are not available for ${order.status} orders`
+      });
+    }
+
+    // Customers and admins see every artisan's invoice; artisans only their own
+    const isCustomer = order.customer.toString() === req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+    const artisanId = await findArtisanId(req.user);
+
+    let artisans = [...new Map(order.items.map(item => [itemArtisanId(item), item.artisan])).values()];
+    if (!isCustomer && !isAdmin) {
+      artisans = artisans.filter(artisan => artisan._id.toString() === artisanId);
+      if (artisans.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+    if (req.query.artisan) {
+      artisans = artisans.filter(artisan => artisan._id.toString() === req.query.artisan);
+    }
+
+    // No invoice (or invoice number) for artisans whose lines were all cancelled or refunded
+    const invoicedArtisanIds = new Set(order.items
+      .filter(item => item.status !== 'cancelled' && item.quantity > (item.refundedQuantity || 0))
+      .map(itemArtisanId));
+    artisans = artisans.filter(artisan => invoicedArtisanIds.has(artisan._id.toString()));
+
+    if (artisans.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const invoices = [];
+    for (const artisan of artisans) {
+      const meta = await assignInvoiceNumber(order, artisan._id);
+      invoices.push(buildInvoice(order, artisan, meta));
+    }
+
+    if (req.query.format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="invoice-${order.orderNumber}.pdf"`);
+      const doc = renderInvoicePdf(invoices);
+      doc.pipe(res);
+      doc.end();
+      return;
+    }
+
+    res.type('html').send(renderInvoiceHtml(invoices));
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating invoice'
+    });
+  }
+});
+
 // @route   PUT /api/orders/:id/status
 // @desc    Update order status (Artisan/Admin only)
 // @access  Private/Artisan
@@ -171,34 +789,41 @@ router.put('/:id/status', authenticateToken, validateObjectId('id'), async (req,
       });
     }
 
-    // Check permissions
-    const isArtisan = order.items.some(item => 
-      item.artisan.toString() === req.user._id.toString()
-    );
+    // Check permissions: an artisan may only move the whole order when
+    // every line item is theirs; shared orders are updated per item
+    const artisanId = await findArtisanId(req.user);
+    const ownsAllItems = !!artisanId && order.items.every(item => itemArtisanId(item) === artisanId);
     const isAdmin = req.user.role === 'admin';
 
-    if (!isArtisan && !isAdmin) {
+    if (!ownsAllItems && !isAdmin) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied'
+        message: 'Access denied. Update your own line items instead.'
       });
     }
 
-    order.status = status;
-    if (note) {
-      order.timeline.push({
-        status,
-        timestamp: new Date(),
-        note,
-        updatedBy: req.user._id
+    if (status === order.status || !order.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        data: { allowedTransitions: order.allowedTransitions }
       });
     }
 
-    if (status === 'delivered') {
-      order.actualDelivery = new Date();
-    }
+    // Cancelling also restocks, releases the coupon and refunds
+    if (status === 'cancelled') {
+      await cancelOrder(order, { reason: note, userId: req.user._id });
+    } else {
+      order.transitionTo(status, { updatedBy: req.user._id, note });
+      order.applyStatusToItems(status);
 
-    await order.save();
+      if (status === 'delivered') {
+        order.actualDelivery = new Date();
+      }
+
+      await order.save();
+      await syncLedger(order);
+    }
 
     res.json({
       success: true,
@@ -206,6 +831,13 @@ router.put('/:id/status', authenticateToken, validateObjectId('id'), async (req,
       data: { order }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -214,6 +846,100 @@ router.put('/:id/status', authenticateToken, validateObjectId('id'), async (req,
   }
 });
 
+// @route   PUT /api/orders/:id/items/:itemId/status
+// @desc    Update a single line item's status and tracking (owning Artisan/Admin only)
+// @access  Private/Artisan
+router.put('/:id/items/:itemId/status', authenticateToken, validateObjectId('id'), validateObjectId('itemId'), validateItemStatusUpdate, async (req, res) => {
+  try {
+    const { status, note, tracking } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const item = order.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+
+    // Only the artisan who owns the line item (or an admin) may update it
+    const artisanId = await findArtisanId(req.user);
+    const ownsItem = !!artisanId && itemArtisanId(item) === artisanId;
+    if (!ownsItem && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (['cancelled', 'returned'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update items of a ${order.status} order`
+      });
+    }
+
+    if (status && !order.canTransitionItem(item, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change item status from ${item.status} to ${status}`,
+        data: { allowedTransitions: Order.ITEM_STATUS_TRANSITIONS[item.status] }
+      });
+    }
+
+    const isCancellingPaidItem = status === 'cancelled' && item.status !== 'cancelled' &&
+      order.payment.status === 'completed';
+
+    await applyItemUpdate(order, item, { status, tracking, note }, req.user._id);
+    rollUpItemStatus(order, req.user._id);
+
+    await order.save();
+    await syncLedger(order);
+
+    // A cancelled line of a paid order is refunded automatically
+    const refundQuantity = item.quantity - (item.refundedQuantity || 0);
+    if (isCancellingPaidItem && refundQuantity > 0) {
+      try {
+        await initiateRefund(order, {
+          lineItems: [{ itemId: item._id, quantity: refundQuantity }],
+          reason: note || 'Item cancelled',
+          initiatedBy: req.user._id,
+          automatic: true
+        });
+      } catch (refundError) {
+        // The cancellation stands; an admin can retry the refund from the ledger
+        console.error('Automatic item refund error:', refundError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Order item updated successfully',
+      data: { order }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update order item status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order item'
+    });
+  }
+});
+
 // @route   POST /api/orders/:id/cancel
 // @desc    Cancel order
 // @access  Private
@@ -245,37 +971,262 @@ router.post('/:id/cancel', authenticateToken, validateObjectId('id'), async (req
       });
     }
 
-    order.status = 'cancelled';
-    order.cancellation = {
+    await cancelOrder(order, { reason, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling order'
+    });
+  }
+});
+
+// Check whether a user may act on an order's return: admins always,
+// artisans only when every returned line item is theirs
+async function canManageReturn(order, user) {
+  if (user.role === 'admin') return true;
+
+  const artisanId = await findArtisanId(user);
+  if (!artisanId) return false;
+
+  return order.return.items.every(line => {
+    const item = order.items.id(line.itemId);
+    return item && item.artisan.toString() === artisanId;
+  });
+}
+
+// @route   POST /api/orders/:id/return
+// @desc    Request a return for a delivered order
+// @access  Private
+router.post('/:id/return', authenticateToken, validateObjectId('id'), validateReturnRequest, async (req, res) => {
+  try {
+    const { reason, items } = req.body;
+
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'title category')
+      .populate('items.artisan', 'returnPolicy');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Only delivered lines can go back; cancelled ones were already
+    // restocked and refunded. Default to every delivered unit not yet returned.
+    const lines = items && items.length
+      ? items
+      : order.items
+        .filter(item => item.status === 'delivered')
+        .map(item => ({ itemId: item._id, quantity: item.quantity - (item.returnedQuantity || 0) }))
+        .filter(line => line.quantity > 0);
+
+    if (!lines.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No items left to return'
+      });
+    }
+
+    for (const line of lines) {
+      const item = order.items.id(line.itemId);
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Order item ${line.itemId} not found`
+        });
+      }
+
+      if (item.status !== 'delivered') {
+        return res.status(400).json({
+          success: false,
+          message: `${item.product.title} has not been delivered and cannot be returned`
+        });
+      }
+
+      if (line.quantity > item.quantity - (item.returnedQuantity || 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `Return quantity exceeds purchased quantity for ${item.product.title}`
+        });
+      }
+
+      const windowDays = getReturnWindowDays(item.product, item.artisan);
+      if (!order.canBeReturned(windowDays)) {
+        return res.status(400).json({
+          success: false,
+          message: `${item.product.title} is not eligible for return`
+        });
+      }
+    }
+
+    // Keep the earlier request and its outcome
+    if (order.return && order.return.status) {
+      order.returnHistory.push(order.toObject().return);
+    }
+
+    order.return = {
+      requested: true,
       reason,
-      cancelledBy: req.user._id,
-      cancelledAt: new Date(),
-      refundStatus: 'pending'
+      status: 'requested',
+      items: lines.map(({ itemId, quantity }) => ({ itemId, quantity })),
+      requestedAt: new Date()
     };
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: 'Return requested',
+      updatedBy: req.user._id
+    });
+
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: { return: order.return }
+    });
+  } catch (error) {
+    console.error('Request return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting return'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/return/:action
+// @desc    Approve, reject or complete a return (Artisan/Admin only)
+// @access  Private/Artisan
+router.put('/:id/return/:action', authenticateToken, validateObjectId('id'), async (req, res) => {
+  const session = await mongoose.startSession();
 
-    // Restore product inventory
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product && product.inventory.trackInventory) {
-        product.inventory.quantity += item.quantity;
-        product.stats.totalSold -= item.quantity;
-        await product.save();
+  try {
+    const { action } = req.params;
+    const { note } = req.body;
+
+    // Allowed transitions: action -> required current return status
+    const requiredStatus = { approve: 'requested', reject: 'requested', complete: 'approved' };
+    if (!requiredStatus[action]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid return action'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order || !order.return || !order.return.requested) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (!(await canManageReturn(order, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (order.return.status !== requiredStatus[action]) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a return that is ${order.return.status}`
+      });
+    }
+
+    order.return.handledBy = req.user._id;
+
+    if (action === 'approve') {
+      order.return.status = 'approved';
+      order.return.approvedAt = new Date();
+    } else if (action === 'reject') {
+      order.return.status = 'rejected';
+      order.return.rejectedAt = new Date();
+      order.return.rejectionReason = note;
+    } else {
+      for (const line of order.return.items) {
+        const item = order.items.id(line.itemId);
+        item.returnedQuantity = (item.returnedQuantity || 0) + line.quantity;
+      }
+
+      order.return.status = 'completed';
+      order.return.completedAt = new Date();
+
+      if (order.items.every(item => item.returnedQuantity >= item.quantity)) {
+        order.transitionTo('returned', { updatedBy: req.user._id, note: 'All items returned' });
       }
     }
 
-    await order.save();
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      note: `Return ${order.return.status}${note ? `: ${note}` : ''}`,
+      updatedBy: req.user._id
+    });
+
+    // Put returned stock back on the shelf and record the return atomically
+    await session.withTransaction(async () => {
+      if (action === 'complete') {
+        for (const line of order.return.items) {
+          const item = order.items.id(line.itemId);
+          await Product.updateOne(
+            { _id: item.product, 'inventory.trackInventory': true },
+            { $inc: { 'inventory.quantity': line.quantity, 'stats.totalSold': -line.quantity } },
+            { session }
+          );
+        }
+      }
+
+      await order.save({ session });
+    });
+    await syncLedger(order);
+
+    // Completed returns of paid orders are refunded for the returned items
+    if (action === 'complete' && order.payment.status === 'completed') {
+      try {
+        const refund = await initiateRefund(order, {
+          lineItems: order.return.items.map(({ itemId, quantity }) => ({ itemId, quantity })),
+          reason: `Return: ${order.return.reason}`,
+          initiatedBy: req.user._id,
+          automatic: true
+        });
+        order.return.refund = refund._id;
+        await order.save();
+      } catch (refundError) {
+        // The return stands; an admin can retry the refund from the ledger
+        console.error('Return refund error:', refundError);
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully',
+      message: `Return ${order.return.status} successfully`,
       data: { order }
     });
   } catch (error) {
-    console.error('Cancel order error:', error);
+    console.error('Update return error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while cancelling order'
+      message: 'Server error while updating return'
     });
+  } finally {
+    await session.endSession();
   }
 });
 
@@ -284,27 +1235,58 @@ router.post('/:id/cancel', authenticateToken, validateObjectId('id'), async (req
 // @access  Private/Artisan
 router.get('/artisan/dashboard', authenticateToken, requireArtisan, async (req, res) => {
   try {
-    const artisanId = req.user._id;
+    // Order items reference the Artisan profile, not the user account
+    const artisanProfileId = await findArtisanId(req.user);
+    if (!artisanProfileId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artisan profile not found'
+      });
+    }
+    const artisanId = new mongoose.Types.ObjectId(artisanProfileId);
 
-    // Get order statistics
+    // Get order statistics from the artisan's own line items, not whole-order totals
     const stats = await Order.aggregate([
+      { $match: { 'items.artisan': artisanId } },
+      { $unwind: '$items' },
       { $match: { 'items.artisan': artisanId } },
+      {
+        $group: {
+          _id: '$_id',
+          status: { $first: '$status' },
+          amount: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+        }
+      },
       {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$pricing.totalAmount' }
+          totalAmount: { $sum: '$amount' }
         }
       }
     ]);
 
-    // Get recent orders
-    const recentOrders = await Order.find({ 'items.artisan': artisanId })
+    // Get recent orders, showing only the artisan's own lines
+    const orders = await Order.find({ 'items.artisan': artisanId })
       .populate('customer', 'name email')
       .populate('items.product', 'title images')
       .sort({ createdAt: -1 })
       .limit(10);
 
+    const recentOrders = orders.map(order => {
+      const items = order.items.filter(item => itemArtisanId(item) === artisanProfileId);
+
+      return {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        createdAt: order.createdAt,
+        customer: order.customer,
+        items,
+        subtotal: items.reduce((total, item) => total + item.price * item.quantity, 0)
+      };
+    });
+
     res.json({
       success: true,
       data: {
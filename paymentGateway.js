@@ -0,0 +1,35 @@
+// Payment provider registry.
+// Every provider implements the same interface:
+//   createIntent({ amount, currency, orderId, metadata }) -> { id, amount, currency, status, clientSecret }
+//   confirm(intentId, options)                           -> { status, event }
+//   refund(intentId, amount, reason)                     -> { id, status, event }
+//   verifyWebhookSignature(rawBody, signature)           -> event | null
+const providers = {
+  mock: require('./mockPaymentProvider')
+};
+
+function registerPaymentProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+// The mock marks payments as succeeded on request, so it never runs in production
+const isMockAllowed = () => process.env.NODE_ENV !== 'production';
+
+// Resolve a provider by name, falling back to PAYMENT_PROVIDER and then the mock
+function getPaymentProvider(name) {
+  const providerName = name || process.env.PAYMENT_PROVIDER || 'mock';
+  if (providerName === 'mock' && !isMockAllowed()) {
+    throw new Error('The mock payment provider cannot be used in production; set PAYMENT_PROVIDER');
+  }
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Payment provider "${providerName}" is not registered`);
+  }
+  return provider;
+}
+
+module.exports = {
+  isMockAllowed,
+  registerPaymentProvider,
+  getPaymentProvider
+};
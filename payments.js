@@ -0,0 +1,225 @@
+const express = require('express');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { isMockAllowed, getPaymentProvider } = require('../services/paymentGateway');
+const { completeRefund, failRefund } = require('../services/refundService');
+const { applyPlanPaymentEvent } = require('../services/subscriptionPlans');
+const { authenticateToken } = require('../middleware/auth');
+const { validatePaymentRequest } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Apply a verified gateway event to its order.
+// Returns the updated order, or null if the event does not match one.
+async function applyPaymentEvent(event, provider) {
+  const { intentId } = event.data || {};
+  if (!intentId) return null;
+
+  const order = await Order.findOne({
+    'payment.transactionId': intentId,
+    'payment.paymentGateway': provider.name
+  });
+  if (!order) return null;
+
+  switch (event.type) {
+    case 'payment.succeeded':
+      // Gateways may deliver the same event more than once
+      if (order.payment.status === 'completed') return order;
+      // Compare in paise so floating point totals cannot cause a mismatch
+      if (Math.round(Number(event.data.amount) * 100) !== Math.round(order.pricing.totalAmount * 100)) {
+        console.warn(`Payment ${intentId} of ${event.data.amount} does not match order ${order.orderNumber} total ${order.pricing.totalAmount}`);
+        order.timeline.push({
+          status: order.status,
+          timestamp: new Date(),
+          note: `Payment of ${event.data.amount} ${event.data.currency || 'INR'} does not match the order total; not marked as paid`
+        });
+        break;
+      }
+      order.payment.status = 'completed';
+      order.payment.paidAt = new Date();
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Payment of ${event.data.amount} ${event.data.currency || 'INR'} completed via ${provider.name}`
+      });
+      break;
+
+    case 'payment.failed':
+      if (['completed', 'refunded'].includes(order.payment.status)) return order;
+      order.payment.status = 'failed';
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: `Payment failed via ${provider.name}`
+      });
+      break;
+
+    case 'refund.succeeded':
+    case 'refund.failed': {
+      const refund = await Refund.findOne({ gatewayRefundId: event.data.refundId, order: order._id });
+      if (!refund) return order;
+      if (event.type === 'refund.succeeded') {
+        await completeRefund(refund, order);
+      } else if (refund.status !== 'completed') {
+        await failRefund(refund, order, event.data.reason || 'Refund failed at gateway');
+      }
+      return order;
+    }
+
+    default:
+      return order;
+  }
+
+  await order.save();
+  return order;
+}
+
+// @route   POST /api/payments/intent
+// @desc    Create a payment intent for an order
+// @access  Private
+router.post('/intent', authenticateToken, validatePaymentRequest, async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    const order = await Order.findOne({ _id: orderId, customer: req.user._id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.payment.method === 'cod') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on delivery orders do not need online payment'
+      });
+    }
+
+    if (['cancelled', 'returned'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This order has been ${order.status} and cannot be paid`
+      });
+    }
+
+    if (!['pending', 'processing', 'failed'].includes(order.payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already ${order.payment.status}`
+      });
+    }
+
+    const provider = getPaymentProvider();
+    const intent = await provider.createIntent({
+      amount: order.pricing.totalAmount,
+      currency: 'INR',
+      orderId: order._id,
+      metadata: { orderNumber: order.orderNumber }
+    });
+
+    order.payment.status = 'processing';
+    order.payment.transactionId = intent.id;
+    order.payment.paymentGateway = provider.name;
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        intent: {
+          id: intent.id,
+          amount: intent.amount,
+          currency: intent.currency,
+          status: intent.status,
+          clientSecret: intent.clientSecret
+        },
+        provider: provider.name
+      }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment intent'
+    });
+  }
+});
+
+// @route   POST /api/payments/confirm
+// @desc    Confirm a payment intent with the mock provider (not available in production)
+// @access  Private
+router.post('/confirm', authenticateToken, validatePaymentRequest, async (req, res) => {
+  try {
+    // Real gateways confirm payments themselves and report them by webhook
+    if (!isMockAllowed()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const { orderId } = req.body;
+    // Test options such as { fail: true } are only honoured in development
+    const options = process.env.NODE_ENV === 'development' ? req.body.options : undefined;
+
+    const order = await Order.findOne({ _id: orderId, customer: req.user._id });
+    if (!order || !order.payment.transactionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending payment found for this order'
+      });
+    }
+
+    const provider = getPaymentProvider(order.payment.paymentGateway);
+    const result = await provider.confirm(order.payment.transactionId, options);
+    const updatedOrder = await applyPaymentEvent(result.event, provider);
+
+    res.json({
+      success: result.status === 'succeeded',
+      message: result.status === 'succeeded' ? 'Payment completed' : 'Payment failed',
+      data: { order: updatedOrder }
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Receive payment gateway events
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.query.provider);
+    const event = provider.verifyWebhookSignature(req.rawBody, req.get('x-payment-signature'));
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    // Events belong either to an order or to a subscription plan payment
+    const order = await applyPaymentEvent(event, provider);
+    const artisan = order ? null : await applyPlanPaymentEvent(event, provider);
+
+    // Acknowledge unknown payments too so the gateway stops retrying
+    res.json({
+      success: true,
+      received: true,
+      matched: !!(order || artisan)
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const Artisan = require('../models/Artisan');
+const Counter = require('../models/Counter');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const Product = require('../models/Product');
+const { getReturnWindowDays } = require('./returnPolicy');
+const { getPlanLimits } = require('./subscriptionPlans');
+
+// Balances below this are carried over to the next payout run
+const MINIMUM_PAYOUT_AMOUNT = parseFloat(process.env.MINIMUM_PAYOUT_AMOUNT) || 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = amount => Math.round(amount * 100) / 100;
+
+// Build an error carrying an HTTP status for the route to report
+const createPayoutError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Commission (percent of the taxable value) for the artisan's current plan;
+// lapsed plans pay basic rates
+function getCommissionRate(artisan) {
+  return getPlanLimits(artisan).commissionRate;
+}
+
+// Bring an order's ledger entries in line with its line items: a sale for
+// each delivered item and reversals for units returned or refunded since.
+// Safe to call after every order change; it only adds what is missing.
+async function syncOrderLedger(order) {
+  const delivered = order.items.filter(item => item.status === 'delivered');
+  if (delivered.length === 0) return [];
+
+  const entries = await LedgerEntry.find({ order: order._id });
+  const artisans = await Artisan.find({ _id: { $in: delivered.map(item => item.artisan._id || item.artisan) } })
+    .select('subscription returnPolicy');
+  const products = await Product.find({ _id: { $in: delivered.map(item => item.product._id || item.product) } })
+    .select('category');
+  const artisansById = new Map(artisans.map(artisan => [artisan._id.toString(), artisan]));
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const newEntries = [];
+
+  delivered.forEach(item => {
+    const artisanId = (item.artisan._id || item.artisan).toString();
+    const productId = (item.product._id || item.product).toString();
+    const artisan = artisansById.get(artisanId);
+    const itemEntries = entries.filter(entry => entry.item.toString() === item._id.toString());
+    const sale = itemEntries.find(entry => entry.type === 'sale');
+
+    const unitGross = (item.price * item.quantity - (item.discount || 0)) / item.quantity;
+    const unitTax = ((item.tax && item.tax.amount) || 0) / item.quantity;
+    const commissionRate = sale ? sale.commissionRate : getCommissionRate(artisan);
+
+    const buildEntry = (type, quantity, availableAt) => {
+      const gross = round(unitGross * quantity);
+      const tax = round(unitTax * quantity);
+      const commission = round(gross * commissionRate / 100);
+      return {
+        artisan: artisanId,
+        order: order._id,
+        item: item._id,
+        product: productId,
+        type,
+        quantity,
+        gross,
+        tax,
+        commissionRate,
+        commission,
+        net: round(gross + tax - commission),
+        availableAt
+      };
+    };
+
+    if (!sale) {
+      const deliveredAt = item.tracking.actualDelivery || order.actualDelivery || new Date();
+      const windowDays = getReturnWindowDays(productsById.get(productId), artisan);
+      newEntries.push(buildEntry('sale', item.quantity, new Date(deliveredAt.getTime() + windowDays * DAY_MS)));
+    }
+
+    // A returned item is usually refunded too, so count the larger of the two
+    const reversed = itemEntries
+      .filter(entry => entry.type === 'reversal')
+      .reduce((total, entry) => total - entry.quantity, 0);
+    const toReverse = Math.min(item.quantity, Math.max(item.returnedQuantity || 0, item.refundedQuantity || 0)) - reversed;
+    if (toReverse > 0) {
+      newEntries.push(buildEntry('reversal', -toReverse, new Date()));
+    }
+  });
+
+  if (newEntries.length === 0) return [];
+  return LedgerEntry.insertMany(newEntries);
+}
+
+// Balances for an artisan: pending (inside the return window), available
+// (matured, not yet paid out), in payout (claimed by an open payout) and paid
+async function getArtisanBalance(artisanId, asOf = new Date()) {
+  const [balance] = await LedgerEntry.aggregate([
+    { $match: { artisan: artisanId } },
+    {
+      $lookup: {
+        from: Payout.collection.name,
+        localField: 'payout',
+        foreignField: '_id',
+        as: 'payoutDoc'
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        pending: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$payout', null] }, { $gt: ['$availableAt', asOf] }] }, '$net', 0] }
+        },
+        available: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$payout', null] }, { $lte: ['$availableAt', asOf] }] }, '$net', 0] }
+        },
+        inPayout: {
+          $sum: { $cond: [{ $in: [{ $arrayElemAt: ['$payoutDoc.status', 0] }, ['pending', 'processing']] }, '$net', 0] }
+        },
+        paid: {
+          $sum: { $cond: [{ $eq: [{ $arrayElemAt: ['$payoutDoc.status', 0] }, 'paid'] }, '$net', 0] }
+        },
+        commission: { $sum: '$commission' }
+      }
+    }
+  ]);
+
+  const totals = balance || { pending: 0, available: 0, inPayout: 0, paid: 0, commission: 0 };
+  return {
+    pending: round(totals.pending),
+    available: round(totals.available),
+    inPayout: round(totals.inPayout),
+    paid: round(totals.paid),
+    commission: round(totals.commission),
+    minimumPayout: MINIMUM_PAYOUT_AMOUNT
+  };
+}
+
+// Next payout batch number, e.g. PB-261019-01
+async function nextBatchNumber(date = new Date()) {
+  const datePart = [
+    date.getFullYear() % 100,
+    date.getMonth() + 1,
+    date.getDate()
+  ].map(part => String(part).padStart(2, '0')).join('');
+
+  const seq = await Counter.next(`payout:${datePart}`);
+  return `PB-${datePart}-${String(seq).padStart(2, '0')}`;
+}
+
+// Pay out every artisan's matured balance in one batch.
+// Entries are claimed before the amount is summed, so overlapping runs
+// can never pay the same entry twice.
+async function runPayouts({ createdBy, asOf = new Date() } = {}) {
+  const balances = await LedgerEntry.aggregate([
+    { $match: { payout: null, availableAt: { $lte: asOf } } },
+    { $group: { _id: '$artisan', amount: { $sum: '$net' }, entries: { $push: '$_id' } } }
+  ]);
+
+  const artisans = await Artisan.find({ _id: { $in: balances.map(balance => balance._id) } })
+    .select('businessName bankDetails');
+  const artisansById = new Map(artisans.map(artisan => [artisan._id.toString(), artisan]));
+
+  const batch = await nextBatchNumber();
+  const payouts = [];
+  const skipped = [];
+
+  for (const balance of balances) {
+    const artisan = artisansById.get(balance._id.toString());
+    const bank = (artisan && artisan.bankDetails) || {};
+    const method = bank.accountNumber && bank.ifscCode ? 'bank' : (bank.upiId ? 'upi' : null);
+
+    if (round(balance.amount) < MINIMUM_PAYOUT_AMOUNT) {
+      skipped.push({ artisan: balance._id, amount: round(balance.amount), reason: 'Below minimum payout' });
+      continue;
+    }
+    if (!method) {
+      skipped.push({ artisan: balance._id, amount: round(balance.amount), reason: 'No bank or UPI details' });
+      continue;
+    }
+
+    const payout = await Payout.create({
+      batch,
+      artisan: balance._id,
+      method,
+      beneficiary: {
+        accountHolderName: bank.accountHolderName || artisan.businessName,
+        accountNumber: bank.accountNumber,
+        bankName: bank.bankName,
+        ifscCode: bank.ifscCode,
+        upiId: bank.upiId
+      },
+      createdBy
+    });
+
+    await LedgerEntry.updateMany(
+      { _id: { $in: balance.entries }, payout: null },
+      { $set: { payout: payout._id } }
+    );
+
+    const [claimed] = await LedgerEntry.aggregate([
+      { $match: { payout: payout._id } },
+      { $group: { _id: null, amount: { $sum: '$net' }, count: { $sum: 1 } } }
+    ]);
+
+    if (!claimed) {
+      await Payout.deleteOne({ _id: payout._id });
+      continue;
+    }
+
+    payout.amount = round(claimed.amount);
+    payout.entryCount = claimed.count;
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return {
+    batch,
+    payouts,
+    skipped,
+    total: round(payouts.reduce((sum, payout) => sum + payout.amount, 0))
+  };
+}
+
+// Move a payout along. A failed payout gives its entries back to the
+// artisan's available balance for the next run.
+async function updatePayoutStatus(payout, { status, reference, failureReason, updatedBy }) {
+  if (!Payout.STATUS_TRANSITIONS[payout.status].includes(status)) {
+    throw createPayoutError(400, `Cannot change payout status from ${payout.status} to ${status}`);
+  }
+
+  payout.status = status;
+  payout.updatedBy = updatedBy;
+  if (reference) payout.reference = reference;
+
+  if (status === 'paid') {
+    payout.paidAt = new Date();
+  } else if (status === 'failed') {
+    payout.failureReason = failureReason;
+    await LedgerEntry.updateMany({ payout: payout._id }, { $set: { payout: null } });
+  }
+
+  await payout.save();
+  return payout;
+}
+
+const CSV_COLUMNS = [
+  ['Batch', payout => payout.batch],
+  ['Payout ID', payout => payout._id],
+  ['Method', payout => payout.method.toUpperCase()],
+  ['Beneficiary Name', payout => payout.beneficiary.accountHolderName],
+  ['Account Number', payout => payout.beneficiary.accountNumber],
+  ['IFSC', payout => payout.beneficiary.ifscCode],
+  ['UPI ID', payout => payout.beneficiary.upiId],
+  ['Amount', payout => payout.amount.toFixed(2)],
+  ['Narration', payout => `LocalLense payout ${payout.batch}`]
+];
+
+const escapeCsv = value => {
+  const text = String(value == null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render payouts as a CSV for bulk upload to the bank
+function renderPayoutCsv(payouts) {
+  const rows = [
+    CSV_COLUMNS.map(([label]) => label),
+    ...payouts.map(payout => CSV_COLUMNS.map(([, value]) => value(payout)))
+  ];
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  MINIMUM_PAYOUT_AMOUNT,
+  getCommissionRate,
+  syncOrderLedger,
+  getArtisanBalance,
+  runPayouts,
+  updatePayoutStatus,
+  renderPayoutCsv
+};
@@ -0,0 +1,150 @@
+const express = require('express');
+const Payout = require('../models/Payout');
+const { runPayouts, updatePayoutStatus, renderPayoutCsv } = require('../services/payoutService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validatePayoutStatusUpdate, validateObjectId, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/payouts/run
+// @desc    Create a payout batch from every artisan's matured balance (Admin only)
+// @access  Private/Admin
+router.post('/run', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await runPayouts({ createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${result.batch} created with ${result.payouts.length} payouts`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Run payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while running payouts'
+    });
+  }
+});
+
+// @route   GET /api/payouts
+// @desc    List payouts with filters (?batch=&status=&artisan=) (Admin only)
+// @access  Private/Admin
+router.get('/', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { batch, status, artisan } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (batch) filter.batch = batch;
+    if (status) filter.status = status;
+    if (artisan) filter.artisan = artisan;
+
+    const payouts = await Payout.find(filter)
+      .populate('artisan', 'businessName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalPayouts = await Payout.countDocuments(filter);
+    const totalPages = Math.ceil(totalPayouts / limit);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalPayouts,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payouts'
+    });
+  }
+});
+
+// @route   GET /api/payouts/export?batch=PB-261019-01
+// @desc    Download a batch's open payouts as a CSV for bank upload (Admin only)
+// @access  Private/Admin
+router.get('/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { batch } = req.query;
+    if (!batch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch is required'
+      });
+    }
+
+    const payouts = await Payout.find({ batch, status: { $in: ['pending', 'processing'] } })
+      .sort({ createdAt: 1 });
+
+    if (payouts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open payouts in this batch'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payouts-${batch.replace(/[^\w-]/g, '')}.csv"`);
+    res.send(renderPayoutCsv(payouts));
+  } catch (error) {
+    console.error('Export payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting payouts'
+    });
+  }
+});
+
+// @route   PUT /api/payouts/:id/status
+// @desc    Record a payout as processing, paid or failed (Admin only)
+// @access  Private/Admin
+router.put('/:id/status', authenticateToken, requireAdmin, validateObjectId('id'), validatePayoutStatusUpdate, async (req, res) => {
+  try {
+    const payout = await Payout.findById(req.params.id);
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    const { status, reference, failureReason } = req.body;
+    await updatePayoutStatus(payout, { status, reference, failureReason, updatedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Payout marked ${status}`,
+      data: { payout }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update payout status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating payout'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const Product = require('../models/Product');
 const Artisan = require('../models/Artisan');
+const { assertCanActivateProduct, assertCanFeatureProduct } = require('../services/subscriptionPlans');
 const { authenticateToken, requireArtisan, optionalAuth } = require('../middleware/auth');
 const { validateProductCreation, validateObjectId, validatePagination } = require('../middleware/validation');
 
@@ -234,6 +235,8 @@ router.get('/:id', optionalAuth, validateObjectId('id'), async (req, res) => {
     const product = await Product.findById(req.params.id)
       .populate({
         path: 'artisan',
+        // KYC documents and bank details stay private
+        select: Artisan.PRIVATE_FIELDS,
         populate: {
           path: 'user',
           select: 'name avatar'
@@ -306,9 +309,15 @@ router.post('/', authenticateToken, requireArtisan, validateProductCreation, asy
 
     const productData = {
       ...req.body,
+      // Reserved stock is only ever changed by checkout reservations
+      inventory: { ...req.body.inventory, reserved: 0 },
       artisan: artisan._id
     };
 
+    // Enforce the artisan's plan limits
+    if (productData.isActive !== false) await assertCanActivateProduct(artisan);
+    if (productData.isFeatured) await assertCanFeatureProduct(artisan);
+
     const product = new Product(productData);
     await product.save();
 
@@ -321,6 +330,13 @@ router.post('/', authenticateToken, requireArtisan, validateProductCreation, asy
       data: { product }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -357,8 +373,8 @@ router.put('/:id', authenticateToken, requireArtisan, validateObjectId('id'), as
     // Update allowed fields
     const allowedUpdates = [
       'title', 'description', 'shortDescription', 'category', 'subcategory',
-      'images', 'price', 'inventory', 'specifications', 'customization',
-      'shipping', 'story', 'tags', 'isActive'
+      'images', 'price', 'specifications', 'customization',
+      'shipping', 'story', 'tags', 'isActive', 'isFeatured'
     ];
 
     const updates = {};
@@ -368,7 +384,21 @@ router.put('/:id', authenticateToken, requireArtisan, validateObjectId('id'), as
       }
     });
 
+    // Relisting or featuring a product counts against the plan's limits
+    if (updates.isActive === true && !product.isActive) await assertCanActivateProduct(artisan);
+    if (updates.isFeatured === true && !product.isFeatured) await assertCanFeatureProduct(artisan);
+
     Object.assign(product, updates);
+
+    // Merge stock settings field by field; inventory.reserved belongs to
+    // active checkout reservations and is never taken from the request
+    const inventory = req.body.inventory || {};
+    ['quantity', 'lowStockThreshold', 'trackInventory'].forEach(field => {
+      if (inventory[field] !== undefined) {
+        product.inventory[field] = inventory[field];
+      }
+    });
+
     await product.save();
 
     res.json({
@@ -377,6 +407,13 @@ router.put('/:id', authenticateToken, requireArtisan, validateObjectId('id'), as
       data: { product }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
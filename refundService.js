@@ -0,0 +1,207 @@
+const Refund = require('../models/Refund');
+const { getPaymentProvider } = require('./paymentGateway');
+const { syncOrderLedger } = require('./payoutService');
+
+// Build an error carrying an HTTP status for the route to report
+const createRefundError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Record a settled refund on its order. Safe to call more than once:
+// only the first call for a refund moves money on the order.
+async function completeRefund(refund, order) {
+  if (refund.status === 'completed') return refund;
+
+  // Claim the completion atomically, so concurrent calls (e.g. repeated
+  // webhooks) can't both credit the order
+  const processedAt = new Date();
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $ne: 'completed' } },
+    { $set: { status: 'completed', processedAt, inProgress: false } }
+  );
+  refund.status = 'completed';
+  refund.processedAt = processedAt;
+  refund.inProgress = false;
+  if (!claimed) return refund;
+
+  for (const line of refund.items) {
+    const item = order.items.id(line.itemId);
+    if (item) item.refundedQuantity = (item.refundedQuantity || 0) + line.quantity;
+  }
+
+  order.payment.refundAmount = (order.payment.refundAmount || 0) + refund.amount;
+  order.payment.refundReason = refund.reason;
+  order.payment.refundedAt = refund.processedAt;
+  if (order.payment.refundAmount >= order.pricing.totalAmount - order.pricing.shippingCost) {
+    order.payment.status = 'refunded';
+  }
+  if (order.status === 'cancelled') {
+    order.cancellation.refundStatus = 'processed';
+  }
+
+  const units = refund.items.reduce((total, line) => total + line.quantity, 0);
+  order.timeline.push({
+    status: order.status,
+    timestamp: new Date(),
+    note: `Refund of ${refund.amount} processed${units ? ` for ${units} unit(s)` : ''}`,
+    updatedBy: refund.initiatedBy
+  });
+
+  await order.save();
+
+  // Refunded units come out of the artisan's payout balance
+  try {
+    await syncOrderLedger(order);
+  } catch (error) {
+    console.error('Ledger sync error:', error);
+  }
+
+  return refund;
+}
+
+// Mark a refund as failed and surface it on the order
+async function failRefund(refund, order, reason) {
+  refund.status = 'failed';
+  refund.failureReason = reason;
+  await refund.save();
+
+  if (order.status === 'cancelled') {
+    order.cancellation.refundStatus = 'failed';
+    await order.save();
+  }
+
+  return refund;
+}
+
+// Throw if a new refund, together with the order's earlier refunds,
+// exceeds the amount paid or the quantity of any line
+async function assertWithinRefundable(order, refund) {
+  const earlier = await Refund.find({ order: order._id, _id: { $ne: refund._id }, status: { $ne: 'failed' } });
+
+  const refundedQuantities = new Map();
+  earlier.forEach(({ items }) => items.forEach(line => {
+    const key = line.itemId.toString();
+    refundedQuantities.set(key, (refundedQuantities.get(key) || 0) + line.quantity);
+  }));
+
+  for (const line of refund.items) {
+    const item = order.items.id(line.itemId);
+    if (line.quantity + (refundedQuantities.get(line.itemId.toString()) || 0) > item.quantity) {
+      throw createRefundError(400, 'Refund quantity exceeds refundable quantity for item');
+    }
+  }
+
+  const refunded = earlier.reduce((total, { amount }) => total + amount, 0);
+  if (Math.round((refund.amount + refunded) * 100) > Math.round(order.pricing.totalAmount * 100)) {
+    throw createRefundError(400, 'Refund exceeds the amount paid for this order');
+  }
+}
+
+// Start a refund for an order.
+// lineItems: [{ itemId, quantity }] for a partial refund, omit for the whole order.
+async function initiateRefund(order, { lineItems, reason, initiatedBy, automatic = false } = {}) {
+  if (order.payment.status !== 'completed') {
+    throw createRefundError(400, 'Only paid orders can be refunded');
+  }
+
+  const inFlight = await Refund.exists({ order: order._id, status: { $in: ['pending', 'processing'] } });
+  if (inFlight) {
+    throw createRefundError(400, 'A refund is already in progress for this order');
+  }
+
+  // The same line listed twice is one refund of the combined quantity
+  const quantities = new Map();
+  (lineItems || []).forEach(({ itemId, quantity }) => {
+    const key = String(itemId);
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  });
+  const lines = [...quantities].map(([itemId, quantity]) => ({ itemId, quantity }));
+
+  // A whole-order refund covers every unit not refunded yet. It is still
+  // recorded per line so the item counters and artisan ledger follow it.
+  const wholeOrder = lines.length === 0;
+  const refundLines = wholeOrder
+    ? order.items
+      .map(item => ({ itemId: item._id, quantity: item.quantity - (item.refundedQuantity || 0) }))
+      .filter(({ quantity }) => quantity > 0)
+    : lines;
+
+  const items = refundLines.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw createRefundError(400, `Order item ${itemId} not found`);
+    }
+    if (quantity > item.quantity - (item.refundedQuantity || 0)) {
+      throw createRefundError(400, 'Refund quantity exceeds refundable quantity for item');
+    }
+    return { itemId: item._id, product: item.product, quantity };
+  });
+
+  const amount = order.calculateRefundAmount(wholeOrder ? undefined : lines);
+  if (amount <= 0) {
+    throw createRefundError(400, 'Nothing left to refund for this order');
+  }
+
+  // Orders paid through a gateway are refunded there; everything else is settled manually
+  const providerName = order.payment.paymentGateway || 'manual';
+
+  // The unique in-flight index makes this the lock: a concurrent refund
+  // for the same order fails here
+  let refund;
+  try {
+    refund = await Refund.create({
+      order: order._id,
+      customer: order.customer._id || order.customer,
+      items,
+      amount,
+      reason,
+      automatic,
+      initiatedBy,
+      provider: providerName
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createRefundError(400, 'A refund is already in progress for this order');
+    }
+    throw error;
+  }
+
+  // The order passed in may predate a refund that completed meanwhile, so
+  // check against the refunds actually recorded
+  try {
+    await assertWithinRefundable(order, refund);
+  } catch (error) {
+    await Refund.deleteOne({ _id: refund._id });
+    throw error;
+  }
+
+  if (providerName === 'manual') {
+    return completeRefund(refund, order);
+  }
+
+  try {
+    const provider = getPaymentProvider(providerName);
+    const result = await provider.refund(order.payment.transactionId, amount, reason);
+
+    refund.gatewayRefundId = result.id;
+    if (result.status === 'succeeded') {
+      return completeRefund(refund, order);
+    }
+
+    // Asynchronous gateways confirm through the payment webhook
+    refund.status = 'processing';
+    await refund.save();
+    return refund;
+  } catch (error) {
+    console.error('Gateway refund error:', error);
+    return failRefund(refund, order, error.message);
+  }
+}
+
+module.exports = {
+  initiateRefund,
+  completeRefund,
+  failRefund
+};
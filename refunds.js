@@ -0,0 +1,195 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Refund = require('../models/Refund');
+const Order = require('../models/Order');
+const { initiateRefund } = require('../services/refundService');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRefundCreation, validateObjectId, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/refunds
+// @desc    Initiate a full or per-item refund (Admin only)
+// @access  Private/Admin
+router.post('/', authenticateToken, requireAdmin, validateRefundCreation, async (req, res) => {
+  try {
+    const { orderId, items, reason } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = await initiateRefund(order, {
+      lineItems: items,
+      reason,
+      initiatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? 'Refund failed at payment gateway' : 'Refund initiated',
+      data: { refund, order }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating refund'
+    });
+  }
+});
+
+// @route   GET /api/refunds
+// @desc    Refund ledger with filters and totals (Admin only)
+// @access  Private/Admin
+router.get('/', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { status, order, customer, automatic, from, to } = req.query;
+
+    // Build filter
+    const filter = {};
+    if (status) filter.status = status;
+    // Cast ids up front: aggregate() does not cast them like find() does
+    if (order && mongoose.Types.ObjectId.isValid(order)) filter.order = new mongoose.Types.ObjectId(order);
+    if (customer && mongoose.Types.ObjectId.isValid(customer)) filter.customer = new mongoose.Types.ObjectId(customer);
+    if (automatic !== undefined) filter.automatic = automatic === 'true';
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const refunds = await Refund.find(filter)
+      .populate('order', 'orderNumber pricing.totalAmount')
+      .populate('customer', 'name email')
+      .populate('initiatedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalRefunds = await Refund.countDocuments(filter);
+    const totalPages = Math.ceil(totalRefunds / limit);
+
+    // Totals per status for reconciliation
+    const totals = await Refund.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        totals,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalRefunds,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refunds'
+    });
+  }
+});
+
+// @route   GET /api/refunds/order/:orderId
+// @desc    Get refunds for an order (owner or admin)
+// @access  Private
+router.get('/order/:orderId', authenticateToken, validateObjectId('orderId'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isCustomer = order.customer.toString() === req.user._id.toString();
+    if (!isCustomer && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const refunds = await Refund.find({ order: order._id })
+      .select('-gatewayRefundId -initiatedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        refundedAmount: order.payment.refundAmount,
+        paymentStatus: order.payment.status
+      }
+    });
+  } catch (error) {
+    console.error('Get order refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching order refunds'
+    });
+  }
+});
+
+// @route   GET /api/refunds/:id
+// @desc    Get single refund (Admin only)
+// @access  Private/Admin
+router.get('/:id', authenticateToken, requireAdmin, validateObjectId('id'), async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('order')
+      .populate('customer', 'name email')
+      .populate('initiatedBy', 'name email');
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { refund }
+    });
+  } catch (error) {
+    console.error('Get refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refund'
+    });
+  }
+});
+
+module.exports = router;
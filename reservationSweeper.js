@@ -0,0 +1,24 @@
+const Reservation = require('../models/Reservation');
+
+// How often expired holds are swept back into available stock
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+async function sweepExpiredReservations() {
+  try {
+    const released = await Reservation.releaseExpired();
+    if (released > 0) {
+      console.log(`Released ${released} expired reservation(s)`);
+    }
+  } catch (err) {
+    console.error('Reservation sweep error:', err);
+  }
+}
+
+function startReservationSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(sweepExpiredReservations, intervalMs);
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+}
+
+module.exports = { sweepExpiredReservations, startReservationSweeper };
@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/reservations
+// @desc    Start checkout by holding stock for every item in the cart
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const userId = req.user._id;
+    let reservations = [];
+    let unavailable = [];
+
+    await session.withTransaction(async () => {
+      reservations = [];
+      unavailable = [];
+
+      const user = await User.findById(userId).session(session);
+      if (!user.cart.length) return;
+
+      // Replace any holds left over from an earlier checkout attempt
+      const previous = await Reservation.find({ user: userId, status: 'active' }).session(session);
+      for (const reservation of previous) {
+        await Reservation.release(reservation._id, 'released', session);
+      }
+
+      for (const item of user.cart) {
+        const product = await Product.findById(item.product).session(session);
+
+        if (!product || !product.isActive) {
+          unavailable.push({ product: item.product, reason: 'Product not found or inactive' });
+          continue;
+        }
+
+        const reservation = await Reservation.hold({
+          user: userId,
+          product,
+          quantity: item.quantity
+        }, session);
+
+        if (reservation) {
+          reservations.push(reservation);
+        } else {
+          unavailable.push({ product: product._id, title: product.title, reason: 'Insufficient stock' });
+        }
+      }
+
+      // All or nothing: a partial hold would leave the customer unable to check out anyway
+      if (unavailable.length) {
+        await session.abortTransaction();
+      }
+    });
+
+    if (unavailable.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some cart items could not be reserved',
+        data: { unavailable }
+      });
+    }
+
+    if (!reservations.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Cart items reserved',
+      data: {
+        reservations,
+        expiresAt: reservations[0].expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Create reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reserving cart items'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// @route   GET /api/reservations
+// @desc    Get current user's active reservations
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const reservations = await Reservation.find({
+      user: req.user._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('product', 'title images price')
+      .sort({ expiresAt: 1 });
+
+    res.json({
+      success: true,
+      data: { reservations }
+    });
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reservations'
+    });
+  }
+});
+
+// @route   DELETE /api/reservations/:id
+// @desc    Release a reservation (abandon checkout)
+// @access  Private
+router.delete('/:id', authenticateToken, validateObjectId('id'), async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const reservation = await Reservation.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      status: 'active'
+    });
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    await session.withTransaction(async () => {
+      await Reservation.release(reservation._id, 'released', session);
+    });
+
+    res.json({
+      success: true,
+      message: 'Reservation released'
+    });
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while releasing reservation'
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// Return windows in days, by product category.
+// RETURN_WINDOW_DAYS sets the fallback for categories not listed here.
+const DEFAULT_RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+const CATEGORY_RETURN_WINDOWS = {
+  jewelry: 7,
+  textiles: 10,
+  pottery: 5,
+  woodwork: 7,
+  art: 3,
+  metalwork: 7,
+  leather: 10,
+  glass: 3
+};
+
+// Resolve the return window for one line item.
+// An artisan's own policy takes precedence over the category default.
+function getReturnWindowDays(product, artisan) {
+  if (artisan && artisan.returnPolicy) {
+    if (artisan.returnPolicy.acceptsReturns === false) return 0;
+    if (artisan.returnPolicy.windowDays != null) return artisan.returnPolicy.windowDays;
+  }
+
+  const category = product && product.category;
+  return CATEGORY_RETURN_WINDOWS[category] ?? DEFAULT_RETURN_WINDOW_DAYS;
+}
+
+module.exports = {
+  DEFAULT_RETURN_WINDOW_DAYS,
+  CATEGORY_RETURN_WINDOWS,
+  getReturnWindowDays
+};
@@ -6,6 +6,9 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 require('dotenv').config();
+const { startReservationSweeper } = require('./jobs/reservationSweeper');
+const { startSubscriptionExpiryJob } = require('./jobs/subscriptionExpiry');
+const { rejectRevokedSessions } = require('./middleware/sessionGuard');
 
 const app = express();
 
@@ -30,7 +33,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -40,13 +51,30 @@ app.use(morgan('combined'));
 app.use(express.static('public'));
 
 // Database connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/locallense', {
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/locallense?replicaSet=rs0', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(async () => {
+  console.log('Connected to MongoDB');
+
+  // Checkout, reservations, returns and refunds use transactions, which
+  // need a replica set (or a sharded cluster behind mongos)
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    console.error('MongoDB is running as a standalone server, but transactions need a replica set. ' +
+      'Start mongod with --replSet and add ?replicaSet=<name> to MONGODB_URI (see README).');
+    process.exit(1);
+  }
+
+  startReservationSweeper();
+  startSubscriptionExpiryJob();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Refuse access tokens of signed-out sessions before any route sees them
+app.use('/api', rejectRevokedSessions);
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
@@ -55,6 +83,14 @@ app.use('/api/products', require('./routes/products'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/ai', require('./routes/ai'));
 app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/reservations', require('./routes/reservations'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/refunds', require('./routes/refunds'));
+app.use('/api/shipping', require('./routes/shipping'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/payouts', require('./routes/payouts'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,39 @@
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessionService');
+
+// Access tokens name the session they were issued for (sid). Refuse a
+// token whose session has been signed out or revoked, even though the
+// token itself has not expired yet, and expose the session id as
+// req.sessionId. Runs ahead of authenticateToken, which still checks the
+// token itself and reports missing, invalid and expired ones.
+async function rejectRevokedSessions(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return next();
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next();
+  }
+  if (!payload.sid) return next();
+
+  try {
+    if (!await isSessionActive(payload.sid, payload.userId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been signed out. Please sign in again.'
+      });
+    }
+
+    req.sessionId = payload.sid;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  rejectRevokedSessions
+};
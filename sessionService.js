@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Refresh tokens are opaque random strings; only their hashes are stored.
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+// Access tokens are short-lived JWTs naming their session
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRE || '15m';
+// Rotated-out tokens remembered per session for reuse detection. Older
+// tokens are simply unknown and rejected.
+const PREVIOUS_TOKENS_KEPT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+// Build an error carrying an HTTP status for the route to report
+const createSessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Checked in order, so Edge and Opera match before Chrome, Chrome before Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// Readable summary of a user agent, e.g. "Firefox on Linux"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const match = list => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+  const browser = match(BROWSERS);
+  const platform = match(PLATFORMS);
+  if (!browser && !platform) return 'Unknown device';
+  return [browser || 'Browser', platform].filter(Boolean).join(' on ');
+}
+
+// Device details recorded on a session
+function getClientInfo(req) {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req.ip
+  };
+}
+
+// Sign an access token for a session. The session id (sid) lets a signed
+// out or revoked session be refused before its access tokens expire.
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Whether a user's session can still be used
+async function isSessionActive(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+}
+
+// Start a new session for a user and return its first refresh token
+async function createSession(userId, clientInfo = {}) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: userId,
+    ...clientInfo,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS)
+  });
+  return { session, refreshToken };
+}
+
+// Exchange a refresh token for a new one. Presenting a token that has
+// already been exchanged means it was copied, so the session is revoked
+// for both holders.
+async function rotateSession(refreshToken, clientInfo = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { ...clientInfo, tokenHash: hashToken(nextToken), lastUsedAt: now },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -PREVIOUS_TOKENS_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'reuse' } }
+  );
+  if (reused) {
+    console.warn(`Refresh token reuse detected; revoked session ${reused._id} for user ${reused.user}`);
+  }
+
+  throw createSessionError(401, 'Invalid refresh token');
+}
+
+// Revoke the session a refresh token belongs to; returns whether one was found
+async function revokeSession(refreshToken, userId, reason = 'logout') {
+  const tokenHash = hashToken(refreshToken);
+  const result = await Session.updateOne(
+    { user: userId, revokedAt: null, $or: [{ tokenHash }, { previousTokenHashes: tokenHash }] },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// A user's sessions that can still be refreshed, most recently used first
+async function listActiveSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+}
+
+// Revoke one of a user's sessions by id; returns whether one was found
+async function revokeSessionById(sessionId, userId, reason = 'revoked') {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revoke every open session of a user, optionally keeping one (the
+// caller's own); returns how many were revoked
+async function revokeAllSessions(userId, reason = 'logout-all', exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  ACCESS_TOKEN_EXPIRES_IN,
+  describeDevice,
+  getClientInfo,
+  signAccessToken,
+  isSessionActive,
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeSessionById,
+  revokeAllSessions
+};
@@ -0,0 +1,73 @@
+const express = require('express');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { calculateShipping } = require('../services/shippingCalculator');
+const { optionalAuth } = require('../middleware/auth');
+const { validateShippingQuote } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   POST /api/shipping/quote
+// @desc    Quote shipping for items (or the signed-in user's cart) to an address
+// @access  Public
+router.post('/quote', optionalAuth, validateShippingQuote, async (req, res) => {
+  try {
+    const { shippingAddress } = req.body;
+    let { items } = req.body;
+
+    // Fall back to the cart when no items are given
+    if (!items || items.length === 0) {
+      if (!req.user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Items are required'
+        });
+      }
+      const user = await User.findById(req.user._id);
+      items = user.cart.map(item => ({ product: item.product, quantity: item.quantity }));
+    }
+
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      isActive: true
+    });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lines = [];
+    for (const item of items) {
+      const product = productsById.get(item.product.toString());
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: `Product ${item.product} not found or inactive`
+        });
+      }
+      lines.push({ product, quantity: item.quantity });
+    }
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const quote = await calculateShipping(lines, {
+      ...shippingAddress,
+      country: shippingAddress.country || 'India'
+    });
+
+    res.json({
+      success: true,
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Shipping quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating shipping'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const Artisan = require('../models/Artisan');
+
+// Rates in INR: base charge covers the first slab, each extra slab adds perSlab.
+// transitDays is added to the artisan's processing time for delivery estimates.
+const ZONE_RATES = {
+  local: { base: 40, perSlab: 20, transitDays: 1 },
+  regional: { base: 60, perSlab: 30, transitDays: 3 },
+  national: { base: 90, perSlab: 40, transitDays: 5 },
+  international: { base: 900, perSlab: 300, transitDays: 12 }
+};
+
+const SLAB_GRAMS = 500;
+const DEFAULT_ITEM_WEIGHT_GRAMS = 500;
+// Courier volumetric divisor: cm^3 / 5000 = kg
+const VOLUMETRIC_DIVISOR = 5000;
+// Domestic shipments from one artisan at or above this subtotal ship free
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 999;
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+// Work out which zone a shipment falls in from origin and destination
+function getZone(origin = {}, destination = {}) {
+  if (normalize(origin.country) && normalize(destination.country)
+    && normalize(origin.country) !== normalize(destination.country)) {
+    return 'international';
+  }
+  if (normalize(origin.state) !== normalize(destination.state)) return 'national';
+  if (normalize(origin.city) !== normalize(destination.city)) return 'regional';
+  return 'local';
+}
+
+// Actual weight of one unit in grams, preferring the shipping weight
+function getUnitWeight(product) {
+  if (product.shipping && product.shipping.weight) return product.shipping.weight;
+
+  const weight = product.specifications && product.specifications.weight;
+  if (weight && weight.value) {
+    if (weight.unit === 'kg') return weight.value * 1000;
+    if (weight.unit === 'lb') return weight.value * 453.6;
+    return weight.value;
+  }
+
+  return DEFAULT_ITEM_WEIGHT_GRAMS;
+}
+
+// Volumetric weight of one unit in grams (dimensions in cm)
+function getUnitVolumetricWeight(product) {
+  const dimensions = (product.shipping && product.shipping.dimensions) || {};
+  const { length, width, height } = dimensions;
+  if (!length || !width || !height) return 0;
+  return (length * width * height) / VOLUMETRIC_DIVISOR * 1000;
+}
+
+// Quote shipping for a set of line items.
+// items: [{ product, quantity }] where product is a Product document.
+// destination: { city, state, country }.
+async function calculateShipping(items, destination, { session } = {}) {
+  const artisanIds = [...new Set(items.map(({ product }) => (product.artisan._id || product.artisan).toString()))];
+  const artisans = await Artisan.find({ _id: { $in: artisanIds } })
+    .select('businessName location')
+    .session(session || null);
+  const artisansById = new Map(artisans.map(artisan => [artisan._id.toString(), artisan]));
+
+  // Each artisan ships their own parcel
+  const shipments = artisanIds.map(artisanId => {
+    const artisan = artisansById.get(artisanId);
+    const lines = items.filter(({ product }) => (product.artisan._id || product.artisan).toString() === artisanId);
+    const zone = getZone(artisan && artisan.location, destination);
+    const rate = ZONE_RATES[zone];
+
+    let subtotal = 0;
+    let chargeableWeight = 0;
+    let flatCharges = 0;
+    let processingDays = 0;
+
+    for (const { product, quantity } of lines) {
+      subtotal += product.discountedPrice * quantity;
+      processingDays = Math.max(processingDays, (product.shipping && product.shipping.processingTime) || 1);
+
+      if (product.shipping && product.shipping.freeShipping) continue;
+
+      // Artisans can set a flat per-unit charge instead of weight-based pricing
+      if (product.shipping && product.shipping.shippingCost > 0) {
+        flatCharges += product.shipping.shippingCost * quantity;
+        continue;
+      }
+
+      const unitWeight = Math.max(getUnitWeight(product), getUnitVolumetricWeight(product));
+      chargeableWeight += unitWeight * quantity;
+    }
+
+    const slabs = Math.ceil(chargeableWeight / SLAB_GRAMS);
+    const weightCharge = slabs > 0 ? rate.base + (slabs - 1) * rate.perSlab : 0;
+    const freeShippingApplied = zone !== 'international' && subtotal >= FREE_SHIPPING_THRESHOLD;
+    const cost = freeShippingApplied ? 0 : weightCharge + flatCharges;
+
+    return {
+      artisan: artisanId,
+      businessName: artisan && artisan.businessName,
+      zone,
+      chargeableWeight: Math.round(chargeableWeight),
+      subtotal,
+      cost,
+      freeShippingApplied,
+      estimatedDays: processingDays + rate.transitDays
+    };
+  });
+
+  const total = shipments.reduce((sum, shipment) => sum + shipment.cost, 0);
+  const estimatedDays = shipments.reduce((max, shipment) => Math.max(max, shipment.estimatedDays), 0);
+
+  return {
+    shipments,
+    total,
+    estimatedDays,
+    estimatedDelivery: new Date(Date.now() + estimatedDays * 24 * 60 * 60 * 1000),
+    freeShippingThreshold: FREE_SHIPPING_THRESHOLD
+  };
+}
+
+module.exports = {
+  ZONE_RATES,
+  FREE_SHIPPING_THRESHOLD,
+  getZone,
+  calculateShipping
+};
@@ -0,0 +1,107 @@
+jest.mock('../models/Artisan', () => ({ find: jest.fn() }), { virtual: true });
+
+const Artisan = require('../models/Artisan');
+const { ZONE_RATES, FREE_SHIPPING_THRESHOLD, getZone, calculateShipping } = require('./shippingCalculator');
+
+const jaipur = { city: 'Jaipur', state: 'Rajasthan', country: 'India' };
+
+// Artisan.find(...).select(...).session(...) resolving to the given artisans
+const mockArtisans = artisans => {
+  Artisan.find.mockReturnValue({
+    select: () => ({ session: () => Promise.resolve(artisans) })
+  });
+};
+
+const product = (artisan, { price = 100, shipping = {}, specifications } = {}) => ({
+  artisan,
+  discountedPrice: price,
+  shipping,
+  specifications
+});
+
+describe('getZone', () => {
+  it('is local within the same city', () => {
+    expect(getZone(jaipur, { city: ' jaipur ', state: 'RAJASTHAN', country: 'India' })).toBe('local');
+  });
+
+  it('is regional within the same state', () => {
+    expect(getZone(jaipur, { city: 'Udaipur', state: 'Rajasthan', country: 'India' })).toBe('regional');
+  });
+
+  it('is national between states', () => {
+    expect(getZone(jaipur, { city: 'Kochi', state: 'Kerala', country: 'India' })).toBe('national');
+  });
+
+  it('is international between countries, but not when a country is missing', () => {
+    expect(getZone(jaipur, { city: 'Paris', state: 'Ile-de-France', country: 'France' })).toBe('international');
+    expect(getZone(jaipur, { city: 'Kochi', state: 'Kerala' })).toBe('national');
+  });
+});
+
+describe('calculateShipping', () => {
+  const destination = { city: 'Kochi', state: 'Kerala', country: 'India' };
+
+  beforeEach(() => {
+    mockArtisans([
+      { _id: 'a1', businessName: 'Clay Works', location: jaipur },
+      { _id: 'a2', businessName: 'Loom House', location: { city: 'Kochi', state: 'Kerala', country: 'India' } }
+    ]);
+  });
+
+  it('charges the base rate for the first slab and perSlab for each extra one', async () => {
+    const { national } = ZONE_RATES;
+
+    const oneSlab = await calculateShipping([{ product: product('a1', { shipping: { weight: 500 } }), quantity: 1 }], destination);
+    expect(oneSlab.total).toBe(national.base);
+
+    const threeSlabs = await calculateShipping([{ product: product('a1', { shipping: { weight: 501 } }), quantity: 2 }], destination);
+    expect(threeSlabs.shipments[0].chargeableWeight).toBe(1002);
+    expect(threeSlabs.total).toBe(national.base + 2 * national.perSlab);
+  });
+
+  it('uses the volumetric weight when it is higher', async () => {
+    const bulky = product('a1', { shipping: { weight: 200, dimensions: { length: 50, width: 20, height: 10 } } });
+    const result = await calculateShipping([{ product: bulky, quantity: 1 }], destination);
+    expect(result.shipments[0].chargeableWeight).toBe(2000);
+    expect(result.total).toBe(ZONE_RATES.national.base + 3 * ZONE_RATES.national.perSlab);
+  });
+
+  it('converts specification weights when no shipping weight is set', async () => {
+    const heavy = product('a1', { specifications: { weight: { value: 1.2, unit: 'kg' } } });
+    const result = await calculateShipping([{ product: heavy, quantity: 1 }], destination);
+    expect(result.shipments[0].chargeableWeight).toBe(1200);
+  });
+
+  it('adds flat per-unit charges and skips free-shipping products', async () => {
+    const result = await calculateShipping([
+      { product: product('a1', { shipping: { shippingCost: 25 } }), quantity: 2 },
+      { product: product('a1', { shipping: { freeShipping: true, weight: 5000 } }), quantity: 1 }
+    ], destination);
+    expect(result.shipments[0].chargeableWeight).toBe(0);
+    expect(result.total).toBe(50);
+  });
+
+  it('ships free at or above the threshold within the country', async () => {
+    const result = await calculateShipping([{ product: product('a1', { price: FREE_SHIPPING_THRESHOLD }), quantity: 1 }], destination);
+    expect(result.shipments[0].freeShippingApplied).toBe(true);
+    expect(result.total).toBe(0);
+
+    const abroad = await calculateShipping(
+      [{ product: product('a1', { price: FREE_SHIPPING_THRESHOLD }), quantity: 1 }],
+      { city: 'Paris', state: 'Ile-de-France', country: 'France' }
+    );
+    expect(abroad.shipments[0].freeShippingApplied).toBe(false);
+    expect(abroad.total).toBe(ZONE_RATES.international.base);
+  });
+
+  it('quotes one parcel per artisan and estimates from the slowest', async () => {
+    const result = await calculateShipping([
+      { product: product('a1', { shipping: { processingTime: 4 } }), quantity: 1 },
+      { product: product('a2'), quantity: 1 }
+    ], destination);
+
+    expect(result.shipments.map(({ artisan, zone }) => [artisan, zone])).toEqual([['a1', 'national'], ['a2', 'local']]);
+    expect(result.total).toBe(ZONE_RATES.national.base + ZONE_RATES.local.base);
+    expect(result.estimatedDays).toBe(4 + ZONE_RATES.national.transitDays);
+  });
+});
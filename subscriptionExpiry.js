@@ -0,0 +1,25 @@
+const { expireLapsedSubscriptions } = require('../services/subscriptionPlans');
+
+// How often lapsed paid plans are downgraded to basic
+const CHECK_INTERVAL_MS = parseInt(process.env.SUBSCRIPTION_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+async function expireSubscriptions() {
+  try {
+    const expired = await expireLapsedSubscriptions();
+    if (expired > 0) {
+      console.log(`Downgraded ${expired} lapsed subscription(s)`);
+    }
+  } catch (err) {
+    console.error('Subscription expiry error:', err);
+  }
+}
+
+function startSubscriptionExpiryJob(intervalMs = CHECK_INTERVAL_MS) {
+  expireSubscriptions();
+  const timer = setInterval(expireSubscriptions, intervalMs);
+  // Don't keep the process alive just for the expiry job
+  timer.unref();
+  return timer;
+}
+
+module.exports = { expireSubscriptions, startSubscriptionExpiryJob };
@@ -0,0 +1,304 @@
+const Artisan = require('../models/Artisan');
+const Product = require('../models/Product');
+const { getPaymentProvider } = require('./paymentGateway');
+
+// What each subscription plan allows. null means unlimited.
+// price is charged per billing period, in INR.
+const PLANS = {
+  basic: {
+    price: 0,
+    maxActiveProducts: 25,
+    featuredSlots: 0,
+    aiGenerationsPerMonth: 20,
+    commissionRate: 15
+  },
+  premium: {
+    price: 999,
+    maxActiveProducts: 200,
+    featuredSlots: 5,
+    aiGenerationsPerMonth: 200,
+    commissionRate: 10
+  },
+  enterprise: {
+    price: 4999,
+    maxActiveProducts: null,
+    featuredSlots: 20,
+    aiGenerationsPerMonth: null,
+    commissionRate: 7
+  }
+};
+
+// Plans from lowest to highest tier
+const PLAN_ORDER = ['basic', 'premium', 'enterprise'];
+
+// Length of a paid billing period
+const BILLING_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_PERIOD_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Build an error carrying an HTTP status for the route to report
+const createPlanError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const startOfMonth = (date = new Date()) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+// The plan an artisan is entitled to right now. Paid plans that are
+// inactive or past their end date fall back to basic, even before the
+// expiry job has caught up with them.
+function getEffectivePlan(artisan) {
+  const subscription = (artisan && artisan.subscription) || {};
+  if (!PLANS[subscription.plan] || subscription.plan === 'basic') return 'basic';
+  if (subscription.isActive === false) return 'basic';
+  if (subscription.endDate && subscription.endDate < new Date()) return 'basic';
+  return subscription.plan;
+}
+
+function getPlanLimits(artisan) {
+  return PLANS[getEffectivePlan(artisan)];
+}
+
+// Current plan, limits and how much of each limit is used
+async function getPlanUsage(artisan) {
+  const plan = getEffectivePlan(artisan);
+  const limits = PLANS[plan];
+  const [activeProducts, featuredProducts] = await Promise.all([
+    Product.countDocuments({ artisan: artisan._id, isActive: true }),
+    Product.countDocuments({ artisan: artisan._id, isActive: true, isFeatured: true })
+  ]);
+
+  const usage = artisan.usage || {};
+  const aiGenerations = usage.periodStart && usage.periodStart >= startOfMonth() ? usage.aiGenerations : 0;
+
+  return {
+    plan,
+    startDate: artisan.subscription.startDate,
+    endDate: plan === 'basic' ? null : artisan.subscription.endDate,
+    limits,
+    usage: {
+      activeProducts,
+      featuredProducts,
+      aiGenerations
+    }
+  };
+}
+
+// Throw unless the artisan can have one more active product
+async function assertCanActivateProduct(artisan) {
+  const { maxActiveProducts } = getPlanLimits(artisan);
+  if (maxActiveProducts === null) return;
+
+  const activeProducts = await Product.countDocuments({ artisan: artisan._id, isActive: true });
+  if (activeProducts >= maxActiveProducts) {
+    throw createPlanError(403, `Your ${getEffectivePlan(artisan)} plan allows ${maxActiveProducts} active products. Upgrade to add more.`);
+  }
+}
+
+// Throw unless the artisan has a free featured slot
+async function assertCanFeatureProduct(artisan) {
+  const { featuredSlots } = getPlanLimits(artisan);
+  const featuredProducts = await Product.countDocuments({ artisan: artisan._id, isActive: true, isFeatured: true });
+  if (featuredProducts >= featuredSlots) {
+    throw createPlanError(403, featuredSlots === 0
+      ? 'Featured products are not included in your plan'
+      : `Your plan includes ${featuredSlots} featured products`);
+  }
+}
+
+// Count one AI generation against this month's quota, or throw when used up
+async function consumeAiGeneration(artisan) {
+  const { aiGenerationsPerMonth } = getPlanLimits(artisan);
+  const monthStart = startOfMonth();
+
+  // Start a fresh count each calendar month
+  await Artisan.updateOne(
+    { _id: artisan._id, $or: [{ 'usage.periodStart': { $lt: monthStart } }, { 'usage.periodStart': null }] },
+    { $set: { 'usage.aiGenerations': 0, 'usage.periodStart': monthStart } }
+  );
+
+  const filter = { _id: artisan._id };
+  if (aiGenerationsPerMonth !== null) filter['usage.aiGenerations'] = { $lt: aiGenerationsPerMonth };
+
+  const result = await Artisan.updateOne(filter, { $inc: { 'usage.aiGenerations': 1 } });
+  if (result.modifiedCount === 0) {
+    throw createPlanError(429, `Monthly AI generation limit of ${aiGenerationsPerMonth} reached. Upgrade for more.`);
+  }
+}
+
+// Bring featured products back within the plan's slots after a downgrade,
+// keeping the most recently updated ones. Products over the active limit
+// stay listed, but no more can be added until the artisan is under it.
+async function enforcePlanLimits(artisan) {
+  const { featuredSlots } = getPlanLimits(artisan);
+  const featured = await Product.find({ artisan: artisan._id, isActive: true, isFeatured: true })
+    .select('_id')
+    .sort({ updatedAt: -1 });
+
+  const excess = featured.slice(featuredSlots).map(product => product._id);
+  if (excess.length > 0) {
+    await Product.updateMany({ _id: { $in: excess } }, { $set: { isFeatured: false } });
+  }
+  return { unfeatured: excess.length };
+}
+
+// Record a plan change on the artisan's subscription history
+function recordHistory(artisan, action, fromPlan, amount, transactionId) {
+  artisan.subscription.history.push({
+    action,
+    plan: artisan.subscription.plan,
+    fromPlan,
+    amount,
+    transactionId,
+    startDate: artisan.subscription.startDate,
+    endDate: artisan.subscription.endDate,
+    at: new Date()
+  });
+}
+
+// Put the artisan on a plan with a fresh billing period
+function startPeriod(artisan, plan, now = new Date()) {
+  artisan.subscription.plan = plan;
+  artisan.subscription.isActive = true;
+  artisan.subscription.startDate = now;
+  artisan.subscription.endDate = plan === 'basic' ? undefined : new Date(now.getTime() + BILLING_PERIOD_DAYS * DAY_MS);
+}
+
+// Open a gateway payment for an upgrade or renewal. The plan itself is
+// only changed once the payment succeeds (see applyPlanPaymentEvent);
+// asking again replaces any payment still pending.
+async function requestPlanPayment(artisan, action, plan) {
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount: PLANS[plan].price,
+    currency: 'INR',
+    metadata: { artisanId: artisan._id.toString(), action, plan }
+  });
+
+  artisan.subscription.pendingPayment = {
+    action,
+    plan,
+    amount: intent.amount,
+    intentId: intent.id,
+    paymentGateway: provider.name,
+    createdAt: new Date()
+  };
+  await artisan.save();
+
+  return {
+    intent: {
+      id: intent.id,
+      amount: intent.amount,
+      currency: intent.currency,
+      status: intent.status,
+      clientSecret: intent.clientSecret
+    },
+    provider: provider.name
+  };
+}
+
+// Move an artisan to another plan. Upgrades wait for payment; downgrades
+// happen straight away, keeping what is left of the paid period on a
+// lower paid plan and ending it without a refund on basic.
+async function changePlan(artisan, plan) {
+  const currentPlan = getEffectivePlan(artisan);
+  if (!PLANS[plan]) throw createPlanError(400, 'Unknown plan');
+  if (plan === currentPlan) throw createPlanError(400, `You are already on the ${plan} plan`);
+
+  const action = PLAN_ORDER.indexOf(plan) > PLAN_ORDER.indexOf(currentPlan) ? 'upgrade' : 'downgrade';
+
+  if (action === 'upgrade') {
+    const payment = await requestPlanPayment(artisan, action, plan);
+    return { action, fromPlan: currentPlan, payment, unfeatured: 0 };
+  }
+
+  if (plan === 'basic') {
+    startPeriod(artisan, plan);
+  } else {
+    artisan.subscription.plan = plan;
+  }
+  recordHistory(artisan, action, currentPlan, 0);
+  await artisan.save();
+
+  const enforcement = await enforcePlanLimits(artisan);
+  return { action, fromPlan: currentPlan, ...enforcement };
+}
+
+// Open a payment to extend the current paid plan by one billing period
+async function renewPlan(artisan) {
+  const plan = artisan.subscription.plan;
+  if (!PLANS[plan] || plan === 'basic') throw createPlanError(400, 'The basic plan does not need renewing');
+
+  return requestPlanPayment(artisan, 'renew', plan);
+}
+
+// Apply a verified gateway event to the plan payment it belongs to.
+// Returns the artisan, or null if the event does not match a pending payment.
+async function applyPlanPaymentEvent(event, provider) {
+  const { intentId } = event.data || {};
+  if (!intentId || !['payment.succeeded', 'payment.failed'].includes(event.type)) return null;
+
+  // Claim the payment first so a redelivered event cannot apply it twice
+  const artisan = await Artisan.findOneAndUpdate(
+    {
+      'subscription.pendingPayment.intentId': intentId,
+      'subscription.pendingPayment.paymentGateway': provider.name
+    },
+    { $unset: { 'subscription.pendingPayment': '' } }
+  );
+  if (!artisan) return null;
+
+  const { action, plan, amount } = artisan.subscription.pendingPayment;
+  artisan.subscription.pendingPayment = undefined;
+  if (event.type === 'payment.failed') return artisan;
+
+  // A renewal extends a running plan from its end date; a lapsed plan
+  // (or an upgrade) starts a new period today
+  const fromPlan = getEffectivePlan(artisan);
+  if (action === 'renew' && fromPlan === plan) {
+    const from = artisan.subscription.endDate || new Date();
+    artisan.subscription.isActive = true;
+    artisan.subscription.endDate = new Date(from.getTime() + BILLING_PERIOD_DAYS * DAY_MS);
+  } else {
+    startPeriod(artisan, plan);
+  }
+  recordHistory(artisan, action, fromPlan, amount, intentId);
+  await artisan.save();
+
+  return artisan;
+}
+
+// Downgrade every paid plan past its end date to basic
+async function expireLapsedSubscriptions(now = new Date()) {
+  const lapsed = await Artisan.find({
+    'subscription.plan': { $ne: 'basic' },
+    'subscription.endDate': { $lt: now }
+  });
+
+  for (const artisan of lapsed) {
+    const fromPlan = artisan.subscription.plan;
+    startPeriod(artisan, 'basic', now);
+    recordHistory(artisan, 'expire', fromPlan, 0);
+    await artisan.save();
+    await enforcePlanLimits(artisan);
+  }
+
+  return lapsed.length;
+}
+
+module.exports = {
+  PLANS,
+  PLAN_ORDER,
+  BILLING_PERIOD_DAYS,
+  getEffectivePlan,
+  getPlanLimits,
+  getPlanUsage,
+  assertCanActivateProduct,
+  assertCanFeatureProduct,
+  consumeAiGeneration,
+  enforcePlanLimits,
+  changePlan,
+  renewPlan,
+  applyPlanPaymentEvent,
+  expireLapsedSubscriptions
+};
@@ -0,0 +1,99 @@
+const Artisan = require('../models/Artisan');
+
+// GST slabs (percent) by product category. Each category lists price bands
+// by unit price; the first band whose maxUnitPrice covers the price applies.
+const GST_RULES = {
+  jewelry: [{ rate: 3 }],
+  textiles: [{ maxUnitPrice: 1000, rate: 5 }, { rate: 12 }],
+  pottery: [{ rate: 12 }],
+  woodwork: [{ rate: 12 }],
+  art: [{ rate: 12 }],
+  metalwork: [{ rate: 12 }],
+  leather: [{ maxUnitPrice: 1000, rate: 5 }, { rate: 12 }],
+  glass: [{ rate: 18 }],
+  other: [{ rate: 18 }]
+};
+
+// Rate for categories without a rule
+const DEFAULT_GST_RATE = parseFloat(process.env.DEFAULT_GST_RATE) || 18;
+// Ways the country whose GST applies may be written (after normalizing);
+// shipments elsewhere are zero-rated exports
+const HOME_COUNTRY_NAMES = ['india', 'in', 'ind', 'bharat', 'republicofindia'];
+
+const normalize = value => String(value || '').trim().toLowerCase();
+// Country names compare on letters only, so "India.", " INDIA " and "India " match
+const normalizeCountry = value => normalize(value).replace(/[^a-z]/g, '');
+const round = amount => Math.round(amount * 100) / 100;
+
+// Look up the GST rate for a product at a given unit price
+function getGstRate(category, unitPrice) {
+  const bands = GST_RULES[category];
+  if (!bands) return DEFAULT_GST_RATE;
+  const band = bands.find(({ maxUnitPrice }) => maxUnitPrice === undefined || unitPrice <= maxUnitPrice);
+  return band ? band.rate : DEFAULT_GST_RATE;
+}
+
+// Decide how a line is taxed: export (zero-rated), intrastate (CGST+SGST) or interstate (IGST)
+function getSupplyType(origin = {}, destination = {}) {
+  // A missing country is a domestic address
+  const country = normalizeCountry(destination.country);
+  if (country && !HOME_COUNTRY_NAMES.includes(country)) return 'export';
+  return normalize(origin.state) === normalize(destination.state) ? 'intrastate' : 'interstate';
+}
+
+// Calculate GST for priced line items.
+// lines: [{ product, quantity, unitPrice, taxableValue? }] where product is a Product document;
+// taxableValue defaults to unitPrice * quantity (pass it to account for discounts).
+// destination: { state, country }.
+async function calculateTax(lines, destination, { session } = {}) {
+  const artisanIds = [...new Set(lines.map(({ product }) => (product.artisan._id || product.artisan).toString()))];
+  const artisans = await Artisan.find({ _id: { $in: artisanIds } })
+    .select('location')
+    .session(session || null);
+  const originsById = new Map(artisans.map(artisan => [artisan._id.toString(), artisan.location]));
+
+  const breakdown = { cgst: 0, sgst: 0, igst: 0, zeroRated: false };
+
+  const taxedLines = lines.map(({ product, quantity, unitPrice, taxableValue }) => {
+    const origin = originsById.get((product.artisan._id || product.artisan).toString());
+    const supplyType = getSupplyType(origin, destination);
+    const value = taxableValue !== undefined ? taxableValue : unitPrice * quantity;
+    const rate = supplyType === 'export' ? 0 : getGstRate(product.category, unitPrice);
+    const amount = round(value * rate / 100);
+
+    if (supplyType === 'export') {
+      breakdown.zeroRated = true;
+    } else if (supplyType === 'intrastate') {
+      breakdown.cgst += amount / 2;
+      breakdown.sgst += amount / 2;
+    } else {
+      breakdown.igst += amount;
+    }
+
+    return {
+      product: product._id,
+      supplyType,
+      rate,
+      taxableValue: round(value),
+      amount
+    };
+  });
+
+  breakdown.cgst = round(breakdown.cgst);
+  breakdown.sgst = round(breakdown.sgst);
+  breakdown.igst = round(breakdown.igst);
+
+  return {
+    lines: taxedLines,
+    breakdown,
+    total: round(taxedLines.reduce((sum, line) => sum + line.amount, 0))
+  };
+}
+
+module.exports = {
+  GST_RULES,
+  DEFAULT_GST_RATE,
+  getGstRate,
+  getSupplyType,
+  calculateTax
+};
@@ -0,0 +1,88 @@
+jest.mock('../models/Artisan', () => ({ find: jest.fn() }), { virtual: true });
+
+const Artisan = require('../models/Artisan');
+const { getGstRate, getSupplyType, calculateTax } = require('./taxCalculator');
+
+const artisanId = '64b000000000000000000001';
+const product = (category, artisan = artisanId) => ({ _id: `${category}-product`, category, artisan });
+
+// Artisan.find(...).select(...).session(...) resolving to the given artisans
+const mockArtisans = artisans => {
+  Artisan.find.mockReturnValue({
+    select: () => ({ session: () => Promise.resolve(artisans) })
+  });
+};
+
+describe('getGstRate', () => {
+  it('uses the flat rate of single-band categories', () => {
+    expect(getGstRate('jewelry', 50000)).toBe(3);
+    expect(getGstRate('glass', 100)).toBe(18);
+  });
+
+  it('picks the band covering the unit price', () => {
+    expect(getGstRate('textiles', 999)).toBe(5);
+    expect(getGstRate('textiles', 1000)).toBe(5);
+    expect(getGstRate('textiles', 1000.01)).toBe(12);
+  });
+
+  it('falls back to the default rate for unknown categories', () => {
+    expect(getGstRate('spaceships', 100)).toBe(18);
+  });
+});
+
+describe('getSupplyType', () => {
+  const origin = { state: 'Rajasthan', country: 'India' };
+
+  it('is intrastate within the same state, ignoring case and spaces', () => {
+    expect(getSupplyType(origin, { state: ' rajasthan ', country: 'India' })).toBe('intrastate');
+  });
+
+  it('is interstate between states', () => {
+    expect(getSupplyType(origin, { state: 'Kerala', country: 'India' })).toBe('interstate');
+  });
+
+  it('treats a missing or blank country as domestic', () => {
+    expect(getSupplyType(origin, { state: 'Kerala' })).toBe('interstate');
+    expect(getSupplyType(origin, { state: 'Rajasthan', country: '  ' })).toBe('intrastate');
+  });
+
+  it('recognises other ways of writing India', () => {
+    ['INDIA', 'India.', 'IN', 'Bharat', 'Republic of India'].forEach(country => {
+      expect(getSupplyType(origin, { state: 'Kerala', country })).toBe('interstate');
+    });
+  });
+
+  it('zero-rates shipments to other countries', () => {
+    expect(getSupplyType(origin, { state: 'California', country: 'USA' })).toBe('export');
+  });
+});
+
+describe('calculateTax', () => {
+  it('splits intrastate GST into CGST and SGST and interstate into IGST', async () => {
+    mockArtisans([{ _id: artisanId, location: { state: 'Rajasthan', country: 'India' } }]);
+
+    const local = await calculateTax([{ product: product('pottery'), quantity: 2, unitPrice: 500 }], { state: 'Rajasthan', country: 'India' });
+    expect(local.total).toBe(120);
+    expect(local.breakdown).toEqual({ cgst: 60, sgst: 60, igst: 0, zeroRated: false });
+    expect(local.lines[0]).toMatchObject({ supplyType: 'intrastate', rate: 12, taxableValue: 1000, amount: 120 });
+
+    const interstate = await calculateTax([{ product: product('pottery'), quantity: 2, unitPrice: 500 }], { state: 'Kerala', country: 'India' });
+    expect(interstate.breakdown).toEqual({ cgst: 0, sgst: 0, igst: 120, zeroRated: false });
+  });
+
+  it('taxes the discounted value when one is given', async () => {
+    mockArtisans([{ _id: artisanId, location: { state: 'Rajasthan', country: 'India' } }]);
+
+    const result = await calculateTax([{ product: product('glass'), quantity: 1, unitPrice: 1000, taxableValue: 900 }], { state: 'Kerala' });
+    expect(result.lines[0]).toMatchObject({ rate: 18, taxableValue: 900, amount: 162 });
+  });
+
+  it('does not tax exports', async () => {
+    mockArtisans([{ _id: artisanId, location: { state: 'Rajasthan', country: 'India' } }]);
+
+    const result = await calculateTax([{ product: product('glass'), quantity: 1, unitPrice: 1000 }], { state: 'Ontario', country: 'Canada' });
+    expect(result.total).toBe(0);
+    expect(result.breakdown.zeroRated).toBe(true);
+    expect(result.lines[0]).toMatchObject({ supplyType: 'export', rate: 0 });
+  });
+});
@@ -0,0 +1,80 @@
+// Tracking CSVs are small and parsed in memory; rows are capped like JSON shipments
+const MAX_TRACKING_ROWS = 100;
+
+// Build an error carrying an HTTP status for the route to report
+const createCsvError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Split CSV text into rows of cells. Quoted cells may contain commas,
+// line breaks and doubled quotes ("").
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+// Parse a tracking CSV with a header row, e.g.
+// orderNumber,carrier,trackingNumber,estimatedDelivery
+function parseTrackingCsv(text) {
+  const fields = {
+    ordernumber: 'orderNumber',
+    orderid: 'orderId',
+    carrier: 'carrier',
+    trackingnumber: 'trackingNumber',
+    estimateddelivery: 'estimatedDelivery'
+  };
+  const [header = [], ...records] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (records.length > MAX_TRACKING_ROWS) {
+    throw createCsvError(400, `Tracking file can have at most ${MAX_TRACKING_ROWS} rows`);
+  }
+
+  const keys = header.map(column => fields[column.replace(/[\s_]/g, '').toLowerCase()]);
+
+  return records.map(cells => keys.reduce((shipment, key, index) => {
+    if (key && cells[index]) shipment[key] = cells[index];
+    return shipment;
+  }, {}));
+}
+
+module.exports = {
+  MAX_TRACKING_ROWS,
+  parseCsvRows,
+  parseTrackingCsv
+};
@@ -0,0 +1,64 @@
+const { MAX_TRACKING_ROWS, parseCsvRows, parseTrackingCsv } = require('./trackingCsv');
+
+describe('parseCsvRows', () => {
+  it('splits rows and cells and trims values', () => {
+    expect(parseCsvRows('a, b ,c\n1,2,3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+  });
+
+  it('handles CRLF and CR line endings', () => {
+    expect(parseCsvRows('a,b\r\n1,2\r3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('keeps commas, line breaks and doubled quotes inside quoted cells', () => {
+    expect(parseCsvRows('"Blue Dart, Express","line one\nline two","say ""hi"""')).toEqual([
+      ['Blue Dart, Express', 'line one\nline two', 'say "hi"']
+    ]);
+  });
+
+  it('drops blank lines', () => {
+    expect(parseCsvRows('a,b\n\n , \n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseTrackingCsv', () => {
+  it('maps header columns to shipment fields, ignoring case, spaces and underscores', () => {
+    const csv = 'Order Number,CARRIER,tracking_number,Estimated Delivery,notes\n' +
+      'LL-261019-00042-9,"Delhivery, Surface",DL123,2026-10-25,fragile';
+
+    expect(parseTrackingCsv(csv)).toEqual([{
+      orderNumber: 'LL-261019-00042-9',
+      carrier: 'Delhivery, Surface',
+      trackingNumber: 'DL123',
+      estimatedDelivery: '2026-10-25'
+    }]);
+  });
+
+  it('strips a byte order mark and leaves out empty cells', () => {
+    const csv = '\uFEFForderId,carrier,trackingNumber\n64b000000000000000000001,,TRK1';
+    expect(parseTrackingCsv(csv)).toEqual([{ orderId: '64b000000000000000000001', trackingNumber: 'TRK1' }]);
+  });
+
+  it('returns no shipments for a header-only or empty file', () => {
+    expect(parseTrackingCsv('orderNumber,carrier,trackingNumber\n')).toEqual([]);
+    expect(parseTrackingCsv('')).toEqual([]);
+  });
+
+  it('rejects files with too many rows', () => {
+    const rows = Array.from({ length: MAX_TRACKING_ROWS + 1 }, (_, i) => `LL-261019-${i},Carrier,T${i}`);
+    const csv = ['orderNumber,carrier,trackingNumber', ...rows].join('\n');
+
+    let error;
+    try {
+      parseTrackingCsv(csv);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toBe(`Tracking file can have at most ${MAX_TRACKING_ROWS} rows`);
+    expect(error.statusCode).toBe(400);
+  });
+
+  it('accepts exactly the maximum number of rows', () => {
+    const rows = Array.from({ length: MAX_TRACKING_ROWS }, (_, i) => `LL-261019-${i},Carrier,T${i}`);
+    expect(parseTrackingCsv(['orderNumber,carrier,trackingNumber', ...rows].join('\n'))).toHaveLength(MAX_TRACKING_ROWS);
+  });
+});
@@ -3,7 +3,7 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateObjectId, validatePagination } = require('../middleware/validation');
+const { validateObjectId, validatePagination, validateOrderHistoryQuery } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -402,23 +402,68 @@ router.delete('/cart', authenticateToken, async (req, res) => {
   }
 });
 
+// Escape user input for use inside a regular expression
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // @route   GET /api/users/orders
-// @desc    Get user orders
+// @desc    Get user orders with filters (status, from, to, artisan, product) and search (q)
 // @access  Private
-router.get('/orders', authenticateToken, validatePagination, async (req, res) => {
+router.get('/orders', authenticateToken, validatePagination, validateOrderHistoryQuery, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const orders = await Order.find({ customer: req.user._id })
+    const { status, from, to, artisan, product, q } = req.query;
+
+    // Build filter
+    const filter = { customer: req.user._id };
+    const conditions = [];
+
+    if (status) filter.status = { $in: status.split(',') };
+    if (artisan) filter['items.artisan'] = artisan;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    // Match item titles on the order snapshot, falling back to current
+    // product titles for orders placed before titles were stored
+    const titleCondition = async text => {
+      const pattern = new RegExp(escapeRegex(text), 'i');
+      const productIds = await Product.find({ title: pattern }).distinct('_id');
+      return [
+        { 'items.title': pattern },
+        { 'items.product': { $in: productIds } }
+      ];
+    };
+
+    if (product) {
+      conditions.push({ $or: await titleCondition(product) });
+    }
+
+    if (q) {
+      const compact = q.toUpperCase().replace(/[\s-]/g, '');
+      conditions.push({
+        $or: [
+          { orderNumber: new RegExp(escapeRegex(q.trim()), 'i') },
+          { orderNumber: new RegExp(`^${escapeRegex(compact)}`, 'i') },
+          ...(await titleCondition(q.trim()))
+        ]
+      });
+    }
+
+    if (conditions.length) filter.$and = conditions;
+
+    const orders = await Order.find(filter)
       .populate('items.product', 'title images category')
       .populate('items.artisan', 'businessName location')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const totalOrders = await Order.countDocuments({ customer: req.user._id });
+    const totalOrders = await Order.countDocuments(filter);
     const totalPages = Math.ceil(totalOrders / limit);
 
     res.json({
@@ -443,6 +488,84 @@ router.get('/orders', authenticateToken, validatePagination, async (req, res) =>
   }
 });
 
+// @route   POST /api/users/orders/:id/buy-again
+// @desc    Add the items of a past order back to the cart at current stock and price
+// @access  Private
+router.post('/orders/:id/buy-again', authenticateToken, validateObjectId('id'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, customer: req.user._id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const added = [];
+    const skipped = [];
+
+    for (const item of order.items) {
+      const product = await Product.findById(item.product);
+      const title = item.title || (product && product.title);
+
+      if (!product || !product.isActive) {
+        skipped.push({ product: item.product, title, reason: 'No longer available' });
+        continue;
+      }
+
+      const existingItem = user.cart.find(cartItem => cartItem.product.toString() === product._id.toString());
+      const inCart = existingItem ? existingItem.quantity : 0;
+
+      // Add as many as stock allows, up to the quantity originally bought
+      let quantity = item.quantity;
+      if (product.inventory.trackInventory) {
+        quantity = Math.min(quantity, product.availableQuantity - inCart);
+      }
+
+      if (quantity <= 0) {
+        skipped.push({ product: product._id, title, reason: 'Out of stock' });
+        continue;
+      }
+
+      if (existingItem) {
+        existingItem.quantity += quantity;
+      } else {
+        user.cart.push({ product: product._id, quantity, addedAt: new Date() });
+      }
+
+      added.push({
+        product: product._id,
+        title,
+        quantity,
+        requestedQuantity: item.quantity,
+        previousPrice: item.price,
+        currentPrice: product.discountedPrice
+      });
+    }
+
+    await user.save();
+    await user.populate('cart.product', 'title images price inventory');
+
+    res.json({
+      success: added.length > 0,
+      message: added.length > 0 ? 'Items added to cart' : 'None of the items are available',
+      data: {
+        added,
+        skipped,
+        cart: user.cart,
+        cartCount: user.cart.reduce((total, item) => total + item.quantity, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Buy again error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding items to cart'
+    });
+  }
+});
+
 // Admin routes
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
@@ -17,6 +17,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password strength rules, shared by every route that sets a password
+const passwordRules = field => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
 // User registration validation
 const validateUserRegistration = [
   body('name')
@@ -29,11 +36,7 @@ const validateUserRegistration = [
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordRules('password'),
   
   body('role')
     .optional()
@@ -57,6 +60,31 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Password change validation
+const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  passwordRules('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+  
+  handleValidationErrors
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordRules('password'),
+  
+  handleValidationErrors
+];
+
 // Artisan registration validation
 const validateArtisanRegistration = [
   body('businessName')
@@ -178,6 +206,403 @@ const validateOrderCreation = [
     .isIn(['card', 'upi', 'netbanking', 'wallet', 'cod'])
     .withMessage('Invalid payment method'),
   
+  body('couponCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Invalid coupon code'),
+  
+  handleValidationErrors
+];
+
+// Coupon fields; updates may send any of them, creation needs the core ones
+const couponRules = ({ partial = false } = {}) => {
+  const field = name => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+    
+    field('type')
+      .isIn(['percentage', 'fixed'])
+      .withMessage('Type must be either percentage or fixed'),
+    
+    field('value')
+      .isFloat({ min: 0 })
+      .withMessage('Value must be a positive number'),
+    
+    body('value')
+      .if(body('type').equals('percentage'))
+      .isFloat({ max: 100 })
+      .withMessage('Percentage cannot be more than 100'),
+    
+    body('description')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot be more than 200 characters'),
+    
+    body('minOrderAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum order amount must be a positive number'),
+    
+    body('maxDiscount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum discount must be a positive number'),
+    
+    body('usageLimit')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be at least 1'),
+    
+    body('perUserLimit')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be at least 1'),
+    
+    body('validFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid from must be a valid date'),
+    
+    body('validUntil')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid until must be a valid date'),
+    
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    
+    body('categories.*')
+      .isIn(['jewelry', 'textiles', 'pottery', 'woodwork', 'art', 'metalwork', 'leather', 'glass', 'other'])
+      .withMessage('Invalid category'),
+    
+    body('artisan')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid artisan ID'),
+    
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false'),
+    
+    handleValidationErrors
+  ];
+};
+
+// Coupon creation validation
+const validateCouponCreation = couponRules();
+
+// Coupon update validation
+const validateCouponUpdate = couponRules({ partial: true });
+
+// Apply coupon validation
+const validateApplyCoupon = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Coupon code is required'),
+  
+  handleValidationErrors
+];
+
+// Shipping quote validation
+const validateShippingQuote = [
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  
+  body('shippingAddress.city')
+    .trim()
+    .notEmpty()
+    .withMessage('City is required'),
+  
+  body('shippingAddress.state')
+    .trim()
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  body('shippingAddress.country')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Country cannot be empty'),
+  
+  handleValidationErrors
+];
+
+// Payment intent/confirmation validation
+const validatePaymentRequest = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  
+  handleValidationErrors
+];
+
+// Refund initiation validation
+const validateRefundCreation = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Invalid order item ID'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Line item status/tracking update validation
+const validateItemStatusUpdate = [
+  body('status')
+    .optional()
+    .isIn(['confirmed', 'in-production', 'ready', 'shipped', 'delivered', 'cancelled'])
+    .withMessage('Invalid item status'),
+  
+  body('tracking.carrier')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Carrier cannot be empty'),
+  
+  body('tracking.trackingNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Tracking number cannot be empty'),
+  
+  body('tracking.estimatedDelivery')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Artisan order inbox filter validation
+const validateArtisanInboxQuery = [
+  query('status')
+    .optional()
+    .custom(value => value.split(',').every(status => [
+      'pending', 'confirmed', 'in-production', 'ready', 'shipped', 'delivered', 'cancelled'
+    ].includes(status)))
+    .withMessage('Invalid item status'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  query('customized')
+    .optional()
+    .isBoolean()
+    .withMessage('Customized must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Artisan analytics query validation
+const validateAnalyticsQuery = [
+  query('period')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Period must be day, week or month'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Subscription plan change validation
+const validatePlanChange = [
+  body('plan')
+    .isIn(['basic', 'premium', 'enterprise'])
+    .withMessage('Plan must be basic, premium or enterprise'),
+  
+  handleValidationErrors
+];
+
+// Admin verification decision validation
+const validateVerificationDecision = [
+  param('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  
+  body('notes')
+    .if(param('decision').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('Notes are required when rejecting an artisan'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// Artisan verification resubmission validation
+const validateVerificationResubmission = [
+  body('documents.idProof')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('ID proof cannot be empty'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// KYC document upload validation
+const validateDocumentUpload = [
+  body('type')
+    .isIn(['idProof', 'addressProof', 'businessLicense'])
+    .withMessage('Type must be idProof, addressProof or businessLicense'),
+  
+  handleValidationErrors
+];
+
+// Payout status update validation
+const validatePayoutStatusUpdate = [
+  body('status')
+    .isIn(['processing', 'paid', 'failed'])
+    .withMessage('Status must be processing, paid or failed'),
+  
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot be more than 100 characters'),
+  
+  body('failureReason')
+    .if(body('status').equals('failed'))
+    .trim()
+    .notEmpty()
+    .withMessage('Failure reason is required for failed payouts'),
+  
+  handleValidationErrors
+];
+
+// Bulk confirm validation
+const validateBulkConfirm = [
+  body('orderIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Order IDs must be an array of 1 to 100 IDs'),
+  
+  body('orderIds.*')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  
+  handleValidationErrors
+];
+
+// Bulk mark-shipped validation (JSON body; CSV uploads are checked row by row)
+const validateBulkShip = [
+  body('shipments')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Shipments must be an array of 1 to 100 entries'),
+  
+  body('shipments.*.orderNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Order number cannot be empty'),
+  
+  body('shipments.*.orderId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  
+  body('shipments.*.trackingNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Tracking number is required'),
+  
+  body('shipments.*.carrier')
+    .optional()
+    .trim(),
+  
+  body('shipments.*.estimatedDelivery')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Return request validation
+const validateReturnRequest = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+  
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Invalid order item ID'),
+  
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  
   handleValidationErrors
 ];
 
@@ -225,14 +650,67 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Order history filter validation
+const validateOrderHistoryQuery = [
+  query('status')
+    .optional()
+    .custom(value => value.split(',').every(status => [
+      'pending', 'confirmed', 'processing', 'partially-shipped', 'shipped', 'delivered', 'cancelled', 'returned'
+    ].includes(status)))
+    .withMessage('Invalid order status'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  query('artisan')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid artisan ID'),
+  
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search must be between 1 and 100 characters'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validatePasswordChange,
+  validatePasswordReset,
   validateArtisanRegistration,
   validateProductCreation,
   validateOrderCreation,
+  validateCouponCreation,
+  validateCouponUpdate,
+  validateApplyCoupon,
+  validateShippingQuote,
+  validatePaymentRequest,
+  validateRefundCreation,
+  validateItemStatusUpdate,
+  validateArtisanInboxQuery,
+  validateBulkConfirm,
+  validateAnalyticsQuery,
+  validatePayoutStatusUpdate,
+  validatePlanChange,
+  validateVerificationDecision,
+  validateVerificationResubmission,
+  validateDocumentUpload,
+  validateBulkShip,
+  validateReturnRequest,
   validateReviewCreation,
   validateObjectId,
-  validatePagination
+  validatePagination,
+  validateOrderHistoryQuery
 };